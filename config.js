@@ -1,30 +1,170 @@
 require('dotenv').config()
+const { PublicKey } = require('@solana/web3.js')
+const cronParser = require('cron-parser')
+const DonorSelector = require('./donor-selector')
+
+const CLUSTERS = ['mainnet', 'devnet', 'testnet', 'localnet', 'custom']
 
 class Config {
   constructor() {
     // Solana connection settings - Helius by default for better reliability
     this.heliusApiKey = process.env.HELIUS_API_KEY
-    this.rpcUrl = this.heliusApiKey 
-      ? `https://mainnet.helius-rpc.com/?api-key=${this.heliusApiKey}`
-      : 'https://api.mainnet-beta.solana.com' // Fallback to public RPC
+    // Cluster: mainnet, devnet, testnet, localnet or custom (RPC_URLS only)
+    this.cluster = process.env.CLUSTER || 'mainnet'
+    // Ordered RPC endpoints to fail over between; empty = the cluster's default
+    this.rpcUrls = Config.parseList(process.env.RPC_URLS)
+    // Endpoints are health checked (getSlot) this often, and dropped while this many slots behind
+    this.rpcHealthCheckIntervalSeconds = parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL_SECONDS || '30')
+    this.rpcMaxSlotLag = parseInt(process.env.RPC_MAX_SLOT_LAG || '50')
+    // Where funding checks read recipient history: 'helius' (enhanced transactions
+    // API, falling back to the RPC), 'rpc' (signature scan) or 'auto' (Helius when
+    // HELIUS_API_KEY is set on mainnet or devnet)
+    this.historyBackend = process.env.HISTORY_BACKEND || 'auto'
+    this.heliusApiUrl = process.env.HELIUS_API_URL || null // Default: the cluster's Helius API
+    
+    // RPC rate limiting, shared by every request the tool makes
+    this.rpcRequestsPerSecond = parseFloat(process.env.RPC_REQUESTS_PER_SECOND || '10')
+    this.rpcBurst = parseInt(process.env.RPC_BURST || '0') // 0 = same as requests per second
+    this.rpcMaxRetries = parseInt(process.env.RPC_MAX_RETRIES || '5')
+    this.rpcRetryBaseMs = parseInt(process.env.RPC_RETRY_BASE_MS || '500')
+    this.rpcBatchSize = parseInt(process.env.RPC_BATCH_SIZE || '20')
+    this.checkConcurrency = parseInt(process.env.CHECK_CONCURRENCY || '5')
+    this.maxSignaturesPerWallet = parseInt(process.env.MAX_SIGNATURES_PER_WALLET || '1000')
+    
+    // Funding asset: native SOL by default, or an SPL Token / Token-2022 mint.
+    // With a mint set, the amounts below are in tokens instead of SOL
+    this.fundingMint = process.env.FUNDING_MINT || null
     
     // Funding parameters (can be overridden by CLI)
     this.minSolAmount = parseFloat(process.env.MIN_SOL_AMOUNT || '0.1')
     this.hoursLookback = parseInt(process.env.HOURS_LOOKBACK || '24')
     this.fundingAmountSol = parseFloat(process.env.FUNDING_AMOUNT_SOL || '0.05')
+    // true = add up every donor transfer in the window instead of needing one big enough transfer
+    this.sumTransfersInWindow = process.env.SUM_TRANSFERS_IN_WINDOW === 'true'
+    
+    // Funding mode: 'history' (donor transfers in lookback window), 'topup' (balance
+    // below target) or 'both' (no donor transfer AND balance below target)
+    this.fundingMode = process.env.FUNDING_MODE || 'history'
+    this.topUpTargetSol = parseFloat(process.env.TOPUP_TARGET_SOL || '0')
+    this.topUpMinTransferSol = parseFloat(process.env.TOPUP_MIN_TRANSFER_SOL || '0.001')
     
     // File paths (can be overridden by CLI)
     this.donorsFile = process.env.DONORS_FILE || '../public/sellers.csv'
     this.recipientsFile = process.env.RECIPIENTS_FILE || '../public/buyers.csv'
+    // Columns holding the address / private key, for headers the parser doesn't know
+    this.addressColumn = process.env.ADDRESS_COLUMN || null
+    this.keyColumn = process.env.KEY_COLUMN || null
+    // Rows the file checks reject are skipped, or abort the run in strict mode;
+    // VALIDATION_REPORT_FILE lists them with their line numbers
+    this.strictValidation = process.env.STRICT_VALIDATION === 'true'
+    this.validationReportFile = process.env.VALIDATION_REPORT_FILE || null
+    // Per-group donors and settings (JSON or YAML); empty = one run with the settings above
+    this.policyFile = process.env.POLICY_FILE || null
+    this.ledgerFile = process.env.LEDGER_FILE || './funding-ledger.jsonl'
+    // Donors derived from the BIP39 mnemonic in DONOR_MNEMONIC (read where it's used,
+    // so the phrase itself never ends up in printed settings or reports)
+    this.donorDerivationPath = process.env.DONOR_DERIVATION_PATH || "m/44'/501'/{i}'/0'"
+    this.donorCount = parseInt(process.env.DONOR_COUNT || '1')
+    this.donorStartIndex = parseInt(process.env.DONOR_START_INDEX || '0')
+    // Encrypted donor keys; the passphrase comes from KEYSTORE_PASSPHRASE or a prompt
+    this.keystoreFile = process.env.KEYSTORE_FILE || './donors.keystore.json'
     
     // Safety settings
     this.dryRun = process.env.DRY_RUN !== 'false' // Default to true for safety
     this.maxFundingOperations = parseInt(process.env.MAX_FUNDING_OPERATIONS || '10')
     
+    // Donor selection: 'round-robin', 'largest-first', 'balanced' (donors end level)
+    // or 'mapped' (only recipients with a donor column are funded)
+    this.donorStrategy = process.env.DONOR_STRATEGY || 'round-robin'
+    this.reserveSol = parseFloat(process.env.RESERVE_SOL || '0') // Never take a donor below this
+    
+    // Spending budgets (in the funding asset, 0 = unlimited); the 24h budget
+    // counts transfers from earlier runs recorded in the ledger
+    this.maxTotalSolPerRun = parseFloat(process.env.MAX_TOTAL_SOL_PER_RUN || '0')
+    this.maxSolPer24h = parseFloat(process.env.MAX_SOL_PER_24H || '0')
+    
+    // Priority fees: 'none', 'fixed' (PRIORITY_FEE_MICROLAMPORTS) or 'auto'
+    // (percentile of getRecentPrioritizationFees, capped at the max)
+    this.priorityFeeMode = process.env.PRIORITY_FEE_MODE || 'none'
+    this.priorityFeeMicroLamports = parseInt(process.env.PRIORITY_FEE_MICROLAMPORTS || '10000')
+    this.priorityFeePercentile = parseInt(process.env.PRIORITY_FEE_PERCENTILE || '75')
+    this.priorityFeeMaxMicroLamports = parseInt(process.env.PRIORITY_FEE_MAX_MICROLAMPORTS || '1000000')
+    this.computeUnitLimit = parseInt(process.env.COMPUTE_UNIT_LIMIT || '0') // 0 = size to the transaction
+    
+    // Sending: each attempt rebroadcasts until confirmed or the blockhash expires,
+    // and only then re-signs with a new blockhash
+    this.sendMaxAttempts = parseInt(process.env.SEND_MAX_ATTEMPTS || '3')
+    this.sendRebroadcastIntervalMs = parseInt(process.env.SEND_REBROADCAST_INTERVAL_MS || '2000')
+    this.sendConfirmTimeoutMs = parseInt(process.env.SEND_CONFIRM_TIMEOUT_MS || '90000')
+    
+    // Batching: pack transfers from the same donor into one transaction
+    this.batchTransfers = process.env.BATCH_TRANSFERS === 'true'
+    this.maxTransfersPerTx = parseInt(process.env.MAX_TRANSFERS_PER_TX || '20')
+    
+    // Machine-readable run report ('-' = stdout); empty = no report
+    this.reportFile = process.env.REPORT_FILE || null
+    this.reportFormat = process.env.REPORT_FORMAT || 'json'
+    this.quiet = process.env.QUIET === 'true'
+    
+    // Watch mode: run a cycle every WATCH_INTERVAL_MINUTES, or on WATCH_CRON if set
+    this.watchIntervalMinutes = parseFloat(process.env.WATCH_INTERVAL_MINUTES || '60')
+    this.watchCron = process.env.WATCH_CRON || null
+    this.watchMaxBackoffMinutes = parseFloat(process.env.WATCH_MAX_BACKOFF_MINUTES || '60')
+    
+    // Monitor mode: WebSocket subscriptions, with polling while no slot
+    // notification has arrived for MONITOR_HEARTBEAT_TIMEOUT_SECONDS
+    this.monitorHeartbeatTimeoutSeconds = parseInt(process.env.MONITOR_HEARTBEAT_TIMEOUT_SECONDS || '30')
+    this.monitorPollIntervalSeconds = parseInt(process.env.MONITOR_POLL_INTERVAL_SECONDS || '300')
+    
+    // Notifications: a JSON webhook, a Slack incoming webhook and/or a local command
+    this.notifyWebhookUrl = process.env.NOTIFY_WEBHOOK_URL || null
+    this.notifySlackWebhookUrl = process.env.NOTIFY_SLACK_WEBHOOK_URL || null
+    this.notifyCommand = process.env.NOTIFY_COMMAND || null
+    this.notifyEvents = (process.env.NOTIFY_EVENTS || 'run_complete,run_failed,transfer_failed,low_donor_balance')
+      .split(',').map(event => event.trim()).filter(Boolean)
+    this.notifyLowDonorBalance = parseFloat(process.env.NOTIFY_LOW_DONOR_BALANCE || '0') // 0 = only when no donor can fund
+    this.notifyMinFailedTransfers = parseInt(process.env.NOTIFY_MIN_FAILED_TRANSFERS || '1')
+    
+    // Held while funding, so two runs (watch cycles, cron jobs) never send at once
+    this.lockFile = process.env.LOCK_FILE || './funding.lock'
+    
     this.validate()
   }
   
   validate() {
+    if (!CLUSTERS.includes(this.cluster)) {
+      throw new Error(`CLUSTER must be one of: ${CLUSTERS.join(', ')}`)
+    }
+    
+    if (this.cluster === 'custom' && this.rpcUrls.length === 0) {
+      throw new Error('RPC_URLS is required when CLUSTER=custom')
+    }
+    
+    const badUrl = this.rpcUrls.find(url => !/^https?:\/\/[^/]/.test(url))
+    if (badUrl) {
+      throw new Error(`RPC_URLS must be http(s) URLs (got ${Config.getRpcHost(badUrl)})`)
+    }
+    
+    if (!['auto', 'helius', 'rpc'].includes(this.historyBackend)) {
+      throw new Error('HISTORY_BACKEND must be one of: auto, helius, rpc')
+    }
+    
+    if (this.historyBackend === 'helius' && !this.heliusApiKey) {
+      throw new Error('HISTORY_BACKEND=helius needs HELIUS_API_KEY')
+    }
+    
+    if (this.historyBackend === 'helius' && !this.getHeliusApiUrl()) {
+      throw new Error(`Helius has no API for CLUSTER=${this.cluster}; set HELIUS_API_URL or HISTORY_BACKEND=rpc`)
+    }
+    
+    if (!(this.rpcHealthCheckIntervalSeconds > 0) || !(this.rpcMaxSlotLag >= 0)) {
+      throw new Error('RPC_HEALTH_CHECK_INTERVAL_SECONDS must be greater than 0 and RPC_MAX_SLOT_LAG must not be negative')
+    }
+    
+    if (this.donorsFile === '-' && this.recipientsFile === '-') {
+      throw new Error('Only one of DONORS_FILE and RECIPIENTS_FILE can be - (stdin)')
+    }
+    
     if (this.minSolAmount <= 0) {
       throw new Error('MIN_SOL_AMOUNT must be greater than 0')
     }
@@ -37,13 +177,135 @@ class Config {
       throw new Error('FUNDING_AMOUNT_SOL must be greater than 0')
     }
     
+    if (!(this.rpcRequestsPerSecond > 0)) {
+      throw new Error('RPC_REQUESTS_PER_SECOND must be greater than 0')
+    }
+    
+    if (this.rpcBurst < 0 || this.rpcMaxRetries < 0 || this.rpcRetryBaseMs < 0) {
+      throw new Error('RPC_BURST, RPC_MAX_RETRIES and RPC_RETRY_BASE_MS must not be negative')
+    }
+    
+    if (this.rpcBatchSize <= 0 || this.checkConcurrency <= 0) {
+      throw new Error('RPC_BATCH_SIZE and CHECK_CONCURRENCY must be greater than 0')
+    }
+    
+    if (this.maxSignaturesPerWallet <= 0) {
+      throw new Error('MAX_SIGNATURES_PER_WALLET must be greater than 0')
+    }
+    
+    if (this.fundingMint) {
+      try {
+        new PublicKey(this.fundingMint)
+      } catch (error) {
+        throw new Error(`FUNDING_MINT is not a valid address: ${this.fundingMint}`)
+      }
+    }
+    
+    if (!['history', 'topup', 'both'].includes(this.fundingMode)) {
+      throw new Error('FUNDING_MODE must be one of: history, topup, both')
+    }
+    
+    if (this.usesTopUp() && !(this.topUpTargetSol > 0)) {
+      throw new Error('TOPUP_TARGET_SOL must be greater than 0 when FUNDING_MODE uses top-ups')
+    }
+    
+    if (this.topUpMinTransferSol < 0) {
+      throw new Error('TOPUP_MIN_TRANSFER_SOL must not be negative')
+    }
+    
     if (this.maxFundingOperations <= 0) {
       throw new Error('MAX_FUNDING_OPERATIONS must be greater than 0')
     }
+    
+    if (!DonorSelector.STRATEGIES.includes(this.donorStrategy)) {
+      throw new Error(`DONOR_STRATEGY must be one of: ${DonorSelector.STRATEGIES.join(', ')}`)
+    }
+    
+    if (!(this.reserveSol >= 0)) {
+      throw new Error('RESERVE_SOL must not be negative')
+    }
+    
+    if (!(this.maxTotalSolPerRun >= 0) || !(this.maxSolPer24h >= 0)) {
+      throw new Error('MAX_TOTAL_SOL_PER_RUN and MAX_SOL_PER_24H must not be negative (0 = unlimited)')
+    }
+    
+    if (!['none', 'fixed', 'auto'].includes(this.priorityFeeMode)) {
+      throw new Error('PRIORITY_FEE_MODE must be one of: none, fixed, auto')
+    }
+    
+    if (this.priorityFeeMicroLamports < 0 || this.priorityFeeMaxMicroLamports < 0) {
+      throw new Error('PRIORITY_FEE_MICROLAMPORTS and PRIORITY_FEE_MAX_MICROLAMPORTS must not be negative')
+    }
+    
+    if (this.priorityFeePercentile < 0 || this.priorityFeePercentile > 100) {
+      throw new Error('PRIORITY_FEE_PERCENTILE must be between 0 and 100')
+    }
+    
+    if (this.computeUnitLimit < 0 || this.computeUnitLimit > 1400000) {
+      throw new Error('COMPUTE_UNIT_LIMIT must be between 0 and 1400000')
+    }
+    
+    if (this.sendMaxAttempts <= 0) {
+      throw new Error('SEND_MAX_ATTEMPTS must be greater than 0')
+    }
+    
+    if (this.sendRebroadcastIntervalMs <= 0 || this.sendConfirmTimeoutMs <= 0) {
+      throw new Error('SEND_REBROADCAST_INTERVAL_MS and SEND_CONFIRM_TIMEOUT_MS must be greater than 0')
+    }
+    
+    if (this.maxTransfersPerTx <= 0) {
+      throw new Error('MAX_TRANSFERS_PER_TX must be greater than 0')
+    }
+    
+    if (!(this.donorCount > 0) || !(this.donorStartIndex >= 0)) {
+      throw new Error('DONOR_COUNT must be greater than 0 and DONOR_START_INDEX must not be negative')
+    }
+    
+    if (!this.donorDerivationPath.startsWith('m/')) {
+      throw new Error(`DONOR_DERIVATION_PATH must start with m/ (got ${this.donorDerivationPath})`)
+    }
+    
+    if (!['json', 'csv', 'ndjson'].includes(this.reportFormat)) {
+      throw new Error('REPORT_FORMAT must be one of: json, csv, ndjson')
+    }
+    
+    if (!(this.watchIntervalMinutes > 0) || !(this.watchMaxBackoffMinutes > 0)) {
+      throw new Error('WATCH_INTERVAL_MINUTES and WATCH_MAX_BACKOFF_MINUTES must be greater than 0')
+    }
+    
+    if (!(this.monitorHeartbeatTimeoutSeconds > 0) || !(this.monitorPollIntervalSeconds > 0)) {
+      throw new Error('MONITOR_HEARTBEAT_TIMEOUT_SECONDS and MONITOR_POLL_INTERVAL_SECONDS must be greater than 0')
+    }
+    
+    const notifyEvents = ['run_complete', 'run_failed', 'transfer_failed', 'low_donor_balance']
+    const unknownEvent = this.notifyEvents.find(event => !notifyEvents.includes(event))
+    if (unknownEvent) {
+      throw new Error(`NOTIFY_EVENTS has an unknown event "${unknownEvent}" (use: ${notifyEvents.join(', ')})`)
+    }
+    
+    if (!(this.notifyLowDonorBalance >= 0) || !(this.notifyMinFailedTransfers > 0)) {
+      throw new Error('NOTIFY_LOW_DONOR_BALANCE must not be negative and NOTIFY_MIN_FAILED_TRANSFERS must be greater than 0')
+    }
+    
+    if (this.watchCron) {
+      try {
+        cronParser.parseExpression(this.watchCron)
+      } catch (error) {
+        throw new Error(`WATCH_CRON is not a valid cron expression: ${this.watchCron}`)
+      }
+    }
   }
   
   // Method to override config with CLI arguments
   override(cliOptions) {
+    if (cliOptions.cluster) {
+      this.cluster = cliOptions.cluster
+    }
+    
+    if (cliOptions.rpc) {
+      this.rpcUrls = Config.parseList(cliOptions.rpc)
+    }
+    
     if (cliOptions.amount !== undefined) {
       this.minSolAmount = parseFloat(cliOptions.amount)
     }
@@ -56,6 +318,26 @@ class Config {
       this.fundingAmountSol = parseFloat(cliOptions.funding)
     }
     
+    if (cliOptions.concurrency !== undefined) {
+      this.checkConcurrency = parseInt(cliOptions.concurrency)
+    }
+    
+    if (cliOptions.sumTransfers) {
+      this.sumTransfersInWindow = true
+    }
+    
+    if (cliOptions.mode) {
+      this.fundingMode = cliOptions.mode
+    }
+    
+    if (cliOptions.target !== undefined) {
+      this.topUpTargetSol = parseFloat(cliOptions.target)
+    }
+    
+    if (cliOptions.mint) {
+      this.fundingMint = cliOptions.mint
+    }
+    
     if (cliOptions.donors) {
       this.donorsFile = cliOptions.donors
     }
@@ -64,39 +346,269 @@ class Config {
       this.recipientsFile = cliOptions.recipients
     }
     
+    if (cliOptions.addressColumn) {
+      this.addressColumn = cliOptions.addressColumn
+    }
+    
+    if (cliOptions.keyColumn) {
+      this.keyColumn = cliOptions.keyColumn
+    }
+    
+    if (cliOptions.policy) {
+      this.policyFile = cliOptions.policy
+    }
+    
+    if (cliOptions.strict) {
+      this.strictValidation = true
+    }
+    
+    if (cliOptions.validationReport) {
+      this.validationReportFile = cliOptions.validationReport
+    }
+    
+    if (cliOptions.ledger) {
+      this.ledgerFile = cliOptions.ledger
+    }
+    
+    if (cliOptions.keystore) {
+      this.keystoreFile = cliOptions.keystore
+    }
+    
+    if (cliOptions.priorityFee !== undefined) {
+      this.priorityFeeMode = 'fixed'
+      this.priorityFeeMicroLamports = parseInt(cliOptions.priorityFee)
+    }
+    
+    if (cliOptions.strategy) {
+      this.donorStrategy = cliOptions.strategy
+    }
+    
+    if (cliOptions.batch) {
+      this.batchTransfers = true
+    }
+    
     if (cliOptions.execute) {
       this.dryRun = false
     }
     
+    if (cliOptions.report) {
+      this.reportFile = cliOptions.report
+    }
+    
+    if (cliOptions.format) {
+      this.reportFormat = cliOptions.format
+    }
+    
+    if (cliOptions.quiet) {
+      this.quiet = true
+    }
+    
+    if (cliOptions.interval !== undefined && cliOptions.cron) {
+      throw new Error('Use either --interval or --cron, not both')
+    }
+    
+    if (cliOptions.interval !== undefined) {
+      this.watchIntervalMinutes = parseFloat(cliOptions.interval)
+      this.watchCron = null
+    }
+    
+    if (cliOptions.cron) {
+      this.watchCron = cliOptions.cron
+    }
+    
     this.validate()
   }
   
+  /**
+   * RPC endpoints in failover order: RPC_URLS, or the cluster's default
+   * (Helius on mainnet and devnet when HELIUS_API_KEY is set)
+   */
+  getRpcUrls() {
+    if (this.rpcUrls.length > 0) {
+      return this.rpcUrls
+    }
+    
+    const helius = this.heliusApiKey && { mainnet: 'mainnet', devnet: 'devnet' }[this.cluster]
+    if (helius) {
+      return [`https://${helius}.helius-rpc.com/?api-key=${this.heliusApiKey}`]
+    }
+    
+    return [{
+      mainnet: 'https://api.mainnet-beta.solana.com', // Public RPC (rate limited)
+      devnet: 'https://api.devnet.solana.com',
+      testnet: 'https://api.testnet.solana.com',
+      localnet: 'http://127.0.0.1:8899'
+    }[this.cluster]]
+  }
+  
   getRpcUrl() {
-    return this.rpcUrl
+    return this.getRpcUrls()[0]
+  }
+  
+  getHeliusApiUrl() {
+    if (this.heliusApiUrl) {
+      return this.heliusApiUrl.replace(/\/+$/, '')
+    }
+    return { mainnet: 'https://api.helius.xyz', devnet: 'https://api-devnet.helius.xyz' }[this.cluster] || null
+  }
+  
+  /**
+   * 'helius' or 'rpc', with 'auto' resolved
+   */
+  getHistoryBackend() {
+    if (this.historyBackend !== 'auto') {
+      return this.historyBackend
+    }
+    return this.heliusApiKey && this.getHeliusApiUrl() ? 'helius' : 'rpc'
+  }
+  
+  getAmountUnit() {
+    return this.fundingMint ? 'tokens' : 'SOL'
+  }
+  
+  // Per-wallet settings from the wallet file win over the global .env values
+  getMinSolAmount(wallet = null) {
+    return (wallet && wallet.minAmount) || this.minSolAmount
+  }
+  
+  getFundingAmount(wallet = null) {
+    return (wallet && wallet.fundingAmount) || this.fundingAmountSol
+  }
+  
+  getTargetBalance(wallet = null) {
+    return (wallet && wallet.targetBalance) || this.topUpTargetSol
+  }
+  
+  usesHistory() {
+    return this.fundingMode === 'history' || this.fundingMode === 'both'
+  }
+  
+  usesTopUp() {
+    return this.fundingMode === 'topup' || this.fundingMode === 'both'
   }
   
-  getTimeframeCutoff() {
+  getHoursLookback(wallet = null) {
+    return (wallet && wallet.lookbackHours) || this.hoursLookback
+  }
+  
+  getTimeframeCutoff(wallet = null) {
     const now = new Date()
-    const cutoff = new Date(now.getTime() - (this.hoursLookback * 60 * 60 * 1000))
+    const cutoff = new Date(now.getTime() - (this.getHoursLookback(wallet) * 60 * 60 * 1000))
     return cutoff
   }
   
+  /**
+   * A copy of this config with some settings replaced (a policy group's rules)
+   */
+  withSettings(settings) {
+    const copy = Object.assign(Object.create(Config.prototype), this, settings)
+    copy.validate()
+    return copy
+  }
+  
+  /**
+   * Settings in effect for this run, for reports (the API key is left out)
+   */
+  getEffectiveSettings() {
+    const settings = {}
+    for (const [key, value] of Object.entries(this)) {
+      // Webhook URLs carry their own secret tokens
+      if (['heliusApiKey', 'notifyWebhookUrl', 'notifySlackWebhookUrl'].includes(key)) continue
+      settings[key] = value
+    }
+    // Endpoint URLs often carry an API key in the path or query, so only hosts are shown
+    settings.rpcUrls = this.getRpcUrls().map(url => Config.getRpcHost(url))
+    return settings
+  }
+  
   print() {
     console.log('🔧 Configuration:')
-    console.log(`   💰 Minimum SOL amount: ${this.minSolAmount}`)
+    console.log(`   🪙 Funding asset: ${this.fundingMint ? `Token mint ${this.fundingMint}` : 'SOL'}`)
+    console.log(`   💰 Minimum amount: ${this.minSolAmount} ${this.getAmountUnit()}`)
     console.log(`   ⏰ Hours lookback: ${this.hoursLookback}`)
-    console.log(`   💸 Funding amount: ${this.fundingAmountSol} SOL`)
+    console.log(`   ➕ Sum transfers in window: ${this.sumTransfersInWindow ? 'Yes' : 'No (one transfer must reach the minimum)'}`)
+    console.log(`   💸 Funding amount: ${this.fundingAmountSol} ${this.getAmountUnit()}`)
+    console.log(`   🧭 Funding mode: ${this.fundingMode}`)
+    if (this.usesTopUp()) {
+      console.log(`   🎯 Top-up target: ${this.topUpTargetSol} ${this.getAmountUnit()} (min transfer ${this.topUpMinTransferSol} ${this.getAmountUnit()})`)
+    }
     console.log(`   👥 Donors file: ${this.donorsFile}`)
+    if (process.env.DONOR_MNEMONIC) {
+      console.log(`   🌱 Mnemonic donors: ${this.donorCount} from ${this.donorDerivationPath} (starting at ${this.donorStartIndex})`)
+    }
     console.log(`   📨 Recipients file: ${this.recipientsFile}`)
+    if (this.addressColumn || this.keyColumn) {
+      console.log(`   🗂️  Column mapping: ${[this.addressColumn && `address = ${this.addressColumn}`, this.keyColumn && `key = ${this.keyColumn}`].filter(Boolean).join(', ')}`)
+    }
+    if (this.policyFile) {
+      console.log(`   🗂️  Funding policy: ${this.policyFile} (settings below are the defaults for groups that don't set them)`)
+    }
+    console.log(`   🧹 Invalid rows: ${this.strictValidation ? 'Abort the run (strict)' : 'Skip'}${this.validationReportFile ? ` (listed in ${this.validationReportFile})` : ''}`)
+    console.log(`   📒 Ledger file: ${this.ledgerFile}`)
+    console.log(`   🔐 Keystore file: ${this.keystoreFile}`)
+    console.log(`   🔒 Lock file: ${this.lockFile}`)
     console.log(`   🛡️  Dry run: ${this.dryRun ? 'Yes (no actual transactions)' : 'No (REAL TRANSACTIONS)'}`)
     console.log(`   📊 Max funding operations: ${this.maxFundingOperations}`)
+    console.log(`   🎲 Donor strategy: ${this.donorStrategy}${this.reserveSol > 0 ? ` (reserve ${this.reserveSol} ${this.getAmountUnit()} per donor)` : ''}`)
+    if (this.maxTotalSolPerRun > 0 || this.maxSolPer24h > 0) {
+      const limit = value => value > 0 ? `${value} ${this.getAmountUnit()}` : 'unlimited'
+      console.log(`   🛑 Spending limits: ${limit(this.maxTotalSolPerRun)} per run, ${limit(this.maxSolPer24h)} per 24h`)
+    }
+    const feeDisplay = {
+      none: 'None',
+      fixed: `${this.priorityFeeMicroLamports} micro-lamports/CU`,
+      auto: `Auto (p${this.priorityFeePercentile} of recent fees, max ${this.priorityFeeMaxMicroLamports} micro-lamports/CU)`
+    }[this.priorityFeeMode]
+    console.log(`   ⛽ Priority fee: ${feeDisplay}`)
+    console.log(`   📦 Batch transfers: ${this.batchTransfers ? `Yes (up to ${this.maxTransfersPerTx} per transaction)` : 'No'}`)
+    const notifyTargets = [
+      this.notifyWebhookUrl && 'webhook',
+      this.notifySlackWebhookUrl && 'Slack',
+      this.notifyCommand && 'command'
+    ].filter(Boolean)
+    if (notifyTargets.length > 0) {
+      console.log(`   🔔 Notifications: ${notifyTargets.join(', ')} (${this.notifyEvents.join(', ')})`)
+    }
+    if (this.reportFile) {
+      console.log(`   🧾 Report: ${this.reportFile === '-' ? 'stdout' : this.reportFile} (${this.reportFormat})`)
+    }
     
-    const rpcDisplay = this.heliusApiKey 
-      ? `Helius RPC (${this.heliusApiKey.slice(0, 8)}...)`
-      : 'Public Solana RPC (may have rate limits)'
-    console.log(`   🌐 RPC: ${rpcDisplay}`)
+    const rpcUrls = this.getRpcUrls()
+    let rpcDisplay
+    if (rpcUrls.length > 1) {
+      rpcDisplay = `${rpcUrls.length} endpoints, in failover order: ${rpcUrls.map(url => Config.getRpcHost(url)).join(', ')}`
+    } else if (this.rpcUrls.length > 0) {
+      rpcDisplay = Config.getRpcHost(rpcUrls[0])
+    } else if (rpcUrls[0].includes('helius-rpc.com')) {
+      rpcDisplay = `Helius RPC (${this.heliusApiKey.slice(0, 8)}...)`
+    } else {
+      rpcDisplay = this.cluster === 'localnet' ? rpcUrls[0] : 'Public Solana RPC (may have rate limits)'
+    }
+    console.log(`   🌐 RPC (${this.cluster}): ${rpcDisplay}`)
+    if (this.usesHistory()) {
+      const historyDisplay = this.getHistoryBackend() === 'helius'
+        ? 'Helius enhanced transactions API (RPC scan as fallback)'
+        : 'RPC signature scan'
+      console.log(`   📜 Transfer history: ${historyDisplay}`)
+    }
+    console.log(`   🚦 Rate limit: ${this.rpcRequestsPerSecond} requests/s, ${this.checkConcurrency} concurrent checks`)
     console.log('')
   }
+  
+  static parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean)
+  }
+  
+  /**
+   * Host of an RPC URL, for display (paths and queries may hold API keys)
+   */
+  static getRpcHost(url) {
+    try {
+      return new URL(url).host
+    } catch (error) {
+      return 'invalid URL'
+    }
+  }
 }
 
 module.exports = Config
@@ -0,0 +1,196 @@
+const { Connection } = require('@solana/web3.js')
+const Config = require('./config')
+const RateLimiter = require('./rate-limiter')
+
+// Errors that mean the endpoint itself is in trouble, not the request
+const ENDPOINT_ERROR_PATTERN = /fetch failed|ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|network/i
+
+// An endpoint that doesn't answer getSlot within this long counts as down
+const HEALTH_CHECK_TIMEOUT_MS = 5000
+
+class ConnectionPool {
+  /**
+   * One Connection per RPC endpoint (RPC_URLS or the cluster default), in
+   * failover order. pool.connection looks like a single Connection: each
+   * request goes to the active endpoint and moves on to the next one when it
+   * fails with a network or server error. Endpoints are health checked every
+   * RPC_HEALTH_CHECK_INTERVAL_SECONDS, and the first healthy one in the list
+   * becomes active again, so a recovered primary is used once more
+   * connections (optional) replaces the Connection built for each URL
+   */
+  constructor(config, connections = null) {
+    this.config = config
+    const urls = config.getRpcUrls()
+    this.endpoints = urls.map((url, i) => ({
+      host: Config.getRpcHost(url),
+      // The RPC's own 429 retry is disabled so the shared rate limiter handles backoff
+      connection: connections ? connections[i] : new Connection(url, { commitment: 'confirmed', disableRetryOnRateLimit: true }),
+      healthy: true,
+      failedAt: 0,
+      slot: null
+    }))
+    this.active = 0
+    this.lastHealthCheck = 0
+    this.checking = null
+
+    // Subscription id -> the connection it was made on, to remove it from there
+    this.subscriptions = new Map()
+
+    this.connection = new Proxy({}, {
+      get: (target, prop) => {
+        const connection = this.getActive().connection
+        const value = connection[prop]
+        if (typeof value !== 'function' || typeof prop !== 'string') {
+          return value
+        }
+        if (RateLimiter.RPC_METHOD_PATTERN.test(prop)) {
+          return (...args) => this.request(prop, args)
+        }
+        if (/^on[A-Z]/.test(prop)) {
+          return (...args) => this.subscribe(connection, prop, args)
+        }
+        if (/^remove\w+Listener$/.test(prop)) {
+          return id => this.unsubscribe(prop, id)
+        }
+        return value.bind(connection)
+      }
+    })
+  }
+
+  getActive() {
+    return this.endpoints[this.active]
+  }
+
+  /**
+   * Make a request on the active endpoint, trying each endpoint at most once
+   */
+  async request(method, args) {
+    this.checkHealthIfDue()
+
+    const tried = new Set()
+    let lastError = null
+
+    while (!tried.has(this.active)) {
+      const index = this.active
+      tried.add(index)
+
+      try {
+        return await this.endpoints[index].connection[method](...args)
+      } catch (error) {
+        if (this.endpoints.length === 1 || !ConnectionPool.isEndpointError(error)) {
+          throw error
+        }
+        lastError = error
+        this.markUnhealthy(index, `${method} failed: ${error.message}`)
+      }
+    }
+
+    throw lastError
+  }
+
+  subscribe(connection, method, args) {
+    const id = connection[method](...args)
+    this.subscriptions.set(id, connection)
+    return id
+  }
+
+  async unsubscribe(method, id) {
+    const connection = this.subscriptions.get(id) || this.getActive().connection
+    this.subscriptions.delete(id)
+    return connection[method](id)
+  }
+
+  /**
+   * Take an endpoint out of rotation until a health check finds it working
+   */
+  markUnhealthy(index, reason) {
+    const endpoint = this.endpoints[index]
+    endpoint.healthy = false
+    endpoint.failedAt = Date.now()
+
+    if (index !== this.active) {
+      return
+    }
+
+    // The first healthy endpoint, or else the next one in the list
+    const healthy = this.endpoints.findIndex(e => e.healthy)
+    this.switchTo(healthy !== -1 ? healthy : (index + 1) % this.endpoints.length, reason)
+  }
+
+  switchTo(index, reason) {
+    if (index === this.active) {
+      return
+    }
+    console.log(`   🔀 RPC failover: ${this.getActive().host} -> ${this.endpoints[index].host} (${reason})`)
+    this.active = index
+  }
+
+  checkHealthIfDue() {
+    const dueAt = this.lastHealthCheck + this.config.rpcHealthCheckIntervalSeconds * 1000
+    if (this.endpoints.length > 1 && !this.checking && Date.now() >= dueAt) {
+      // In the background: requests keep going to the active endpoint meanwhile
+      this.checking = this.checkHealth().catch(() => {}).finally(() => {
+        this.checking = null
+      })
+    }
+  }
+
+  /**
+   * Ask every endpoint for its slot; endpoints that don't answer or are more
+   * than RPC_MAX_SLOT_LAG slots behind the highest one are unhealthy
+   */
+  async checkHealth() {
+    const startedAt = Date.now()
+    this.lastHealthCheck = startedAt
+    const slots = await Promise.all(this.endpoints.map(endpoint => ConnectionPool.getSlot(endpoint.connection)))
+    const answered = slots.filter(slot => slot !== null)
+    const tip = answered.length > 0 ? Math.max(...answered) : null
+
+    const problems = this.endpoints.map((endpoint, i) => {
+      endpoint.slot = slots[i]
+      if (slots[i] === null) {
+        return 'not responding'
+      }
+      if (endpoint.failedAt >= startedAt) {
+        return 'failing requests' // Failed while this check was running
+      }
+      const lag = tip - slots[i]
+      return lag > this.config.rpcMaxSlotLag ? `${lag} slots behind` : null
+    })
+
+    this.endpoints.forEach((endpoint, i) => {
+      if (!endpoint.healthy && !problems[i]) {
+        console.log(`   ✅ RPC endpoint ${endpoint.host} is healthy again`)
+      }
+      endpoint.healthy = !problems[i]
+    })
+
+    const preferred = this.endpoints.findIndex(endpoint => endpoint.healthy)
+    if (preferred !== -1) {
+      const reason = problems[this.active] ? `${this.getActive().host} is ${problems[this.active]}` : 'earlier in RPC_URLS'
+      this.switchTo(preferred, reason)
+    }
+    return this.endpoints.map(({ host, healthy, slot }) => ({ host, healthy, slot }))
+  }
+
+  static async getSlot(connection) {
+    let timer
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), HEALTH_CHECK_TIMEOUT_MS)
+    })
+
+    try {
+      return await Promise.race([connection.getSlot('confirmed'), timeout])
+    } catch (error) {
+      return null
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  static isEndpointError(error) {
+    return RateLimiter.isRetryable(error) || ENDPOINT_ERROR_PATTERN.test(String(error && error.message))
+  }
+}
+
+module.exports = ConnectionPool
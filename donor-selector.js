@@ -0,0 +1,122 @@
+// DONOR_STRATEGY values
+const STRATEGIES = ['round-robin', 'largest-first', 'balanced', 'mapped']
+
+class DonorSelector {
+  /**
+   * donors must carry balance (funding asset) and solBalance, as returned by
+   * WalletFunder.getAvailableDonors
+   * transferSolCost is the SOL each transfer costs the donor on top of the
+   * amount itself (fees, plus token account rent when funding a token)
+   */
+  constructor(config, donors, transferSolCost = 0) {
+    this.config = config
+    this.donors = donors
+    this.transferSolCost = transferSolCost
+    this.cursor = 0
+
+    // Balances as they will be once the transfers picked so far have been sent
+    this.projected = new Map(donors.map(d => [d.address, { balance: d.balance, solBalance: d.solBalance }]))
+
+    // largest-first drains the donor that started with the most before moving on
+    this.order = config.donorStrategy === 'largest-first'
+      ? [...donors].sort((a, b) => b.balance - a.balance)
+      : donors
+  }
+
+  /**
+   * Pick a donor for a recipient and reserve the amount from its projected balance
+   * Returns { donor } or { donor: null, reason }
+   */
+  select(recipient, amount) {
+    const pinned = recipient.donor
+    if (pinned) {
+      // A donor column pins the recipient to that donor, whatever the strategy
+      const donor = this.donors.find(d => d.address === pinned || (d.label && d.label === pinned))
+      if (!donor) {
+        return { donor: null, reason: `assigned donor ${pinned} is not available` }
+      }
+      if (!this.canAfford(donor, amount)) {
+        return { donor: null, reason: `assigned donor ${donor.address.slice(0, 8)}... would drop below its reserve` }
+      }
+      return this.commit(donor, amount)
+    }
+
+    if (this.config.donorStrategy === 'mapped') {
+      return { donor: null, reason: 'no donor assigned in the donor column' }
+    }
+
+    const affordable = this.order.filter(d => this.canAfford(d, amount))
+    if (affordable.length === 0) {
+      return { donor: null, reason: 'no donor has enough balance above its reserve' }
+    }
+
+    if (this.config.donorStrategy === 'balanced') {
+      // Always take from whoever has the most left, so donors end up level
+      const donor = affordable.reduce((best, d) =>
+        this.projected.get(d.address).balance > this.projected.get(best.address).balance ? d : best
+      )
+      return this.commit(donor, amount)
+    }
+
+    if (this.config.donorStrategy === 'largest-first') {
+      return this.commit(affordable[0], amount)
+    }
+
+    // round-robin: next donor after the last one used that can still afford it
+    for (let i = 0; i < this.donors.length; i++) {
+      const index = (this.cursor + i) % this.donors.length
+      const donor = this.donors[index]
+      if (this.canAfford(donor, amount)) {
+        this.cursor = index + 1
+        return this.commit(donor, amount)
+      }
+    }
+    return { donor: null, reason: 'no donor has enough balance above its reserve' }
+  }
+
+  /**
+   * Whether a donor can send `amount` and still keep its reserve
+   * For token funding the reserve is in tokens, and SOL only has to cover the costs
+   */
+  canAfford(donor, amount) {
+    const { balance, solBalance } = this.projected.get(donor.address)
+    const reserve = this.getReserve(donor)
+
+    if (this.config.fundingMint) {
+      return balance - amount >= reserve && solBalance >= this.transferSolCost
+    }
+    return balance - amount - this.transferSolCost >= reserve
+  }
+
+  commit(donor, amount) {
+    const projected = this.projected.get(donor.address)
+    projected.balance -= this.config.fundingMint ? amount : amount + this.transferSolCost
+    projected.solBalance -= this.config.fundingMint ? this.transferSolCost : amount + this.transferSolCost
+    return { donor }
+  }
+
+  /**
+   * Give back what commit() took for a transfer that didn't happen
+   */
+  release(donor, amount) {
+    const projected = this.projected.get(donor.address)
+    projected.balance += this.config.fundingMint ? amount : amount + this.transferSolCost
+    projected.solBalance += this.config.fundingMint ? this.transferSolCost : amount + this.transferSolCost
+  }
+
+  getReserve(donor) {
+    return DonorSelector.getReserve(this.config, donor)
+  }
+
+  /**
+   * Balance (SOL, or tokens) a donor must keep after every transfer: its own
+   * reserve_sol column, but never less than the global RESERVE_SOL
+   */
+  static getReserve(config, donor) {
+    return Math.max(config.reserveSol, donor.reserveSol || 0)
+  }
+}
+
+DonorSelector.STRATEGIES = STRATEGIES
+
+module.exports = DonorSelector
@@ -1,136 +1,358 @@
 const fs = require('fs')
+const path = require('path')
+const readline = require('readline')
 const csv = require('csv-parser')
 const { PublicKey, Keypair } = require('@solana/web3.js')
+const { default: bs58 } = require('bs58')
+const KeypairLoader = require('./keypair-loader')
+const ValidationReport = require('./validation-report')
+
+// Common patterns for wallet address columns
+const ADDRESS_COLUMNS = [
+  'address', 'wallet', 'wallet_address', 'public_key', 'publicKey',
+  'walletAddress', 'Address', 'Wallet', 'PublicKey'
+]
+
+// Common patterns for private key columns
+const PRIVATE_KEY_COLUMNS = [
+  'private_key', 'privateKey', 'secret', 'secretKey', 'secret_key',
+  'key', 'PrivateKey', 'Private_Key',
+  'keypair', 'keypair_file', 'keypairFile', 'keypair_path'
+]
+
+const FORMATS_BY_EXTENSION = {
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.tsv': 'tsv',
+  '.txt': 'list',
+  '.csv': 'csv'
+}
+
+// A line holding just an address (or base58 key), as in a plain list
+const BARE_VALUE_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,88}$/
+
+// A solana-keygen keypair file is a bare JSON array of numbers, not of wallets
+const KEYPAIR_FILE_PATTERN = /^\s*\[\s*\d/
 
 class FileParser {
   
   /**
-   * Parse CSV file and extract wallet addresses
-   * Supports both JSON arrays and CSV format
+   * Parse a wallet file and extract wallet addresses
+   * Supports JSON arrays, NDJSON, CSV, TSV and plain address lists (one per
+   * line), a solana-keygen keypair file or a directory of them, or - for stdin
    * Donors need private keys, recipients only need addresses
+   * Files are read row by row, so only the wallets themselves are kept in memory
+   * options.strict aborts on the first file with a rejected row instead of
+   * skipping it; options.report (a ValidationReport) records what was rejected;
+   * options.addressColumn / options.keyColumn name columns to read before the usual ones
    */
-  static async parseWalletFile(filePath, expectedType = 'unknown') {
-    console.log(`📄 Parsing ${expectedType} file: ${filePath}`)
+  static async parseWalletFile(filePath, expectedType = 'unknown', options = {}) {
+    const fromStdin = filePath === '-'
+    const source = fromStdin ? 'stdin' : filePath
+    console.log(`📄 Parsing ${expectedType} file: ${source}`)
     
-    if (!fs.existsSync(filePath)) {
+    if (!fromStdin && !fs.existsSync(filePath)) {
       throw new Error(`File not found: ${filePath}`)
     }
     
-    // Check if it's a JSON file
-    if (filePath.endsWith('.json')) {
-      return await this.parseJsonFile(filePath, expectedType)
+    // A directory of solana-keygen keypair files, one donor per file
+    if (!fromStdin && fs.statSync(filePath).isDirectory()) {
+      const entries = KeypairLoader.loadDirectory(filePath)
+        .map(wallet => ({ wallet: { ...this.extractFundingOverrides({}), ...wallet } }))
+      console.log(`   ✅ Loaded ${entries.length} ${expectedType} wallets from keypair files`)
+      return await this.validateWallets(entries, filePath, expectedType, options)
     }
     
-    // Otherwise treat as CSV
-    return await this.parseCsvFile(filePath, expectedType)
+    const input = fromStdin ? process.stdin : fs.createReadStream(filePath)
+    input.setEncoding('utf8')
+    const firstChunk = await this.peek(input)
+    
+    // A single keypair file, such as ~/.config/solana/id.json, is one donor
+    if (!fromStdin && KEYPAIR_FILE_PATTERN.test(firstChunk)) {
+      input.destroy()
+      const entries = [{ wallet: { ...this.extractFundingOverrides({}), ...KeypairLoader.loadFile(filePath) } }]
+      console.log(`   ✅ Loaded ${expectedType} wallet from keypair file`)
+      return await this.validateWallets(entries, filePath, expectedType, options)
+    }
+    
+    const format = FORMATS_BY_EXTENSION[path.extname(filePath).toLowerCase()] || this.detectFormat(firstChunk)
+    console.log(`   📊 Format: ${format}`)
+    
+    const readers = {
+      json: () => this.readJsonEntries(input, source, expectedType, options),
+      ndjson: () => this.readNdjsonEntries(input, expectedType, options),
+      list: () => this.readListEntries(input, expectedType, options),
+      csv: () => this.readCsvEntries(input, source, expectedType, options, ','),
+      tsv: () => this.readCsvEntries(input, source, expectedType, options, '\t')
+    }
+    
+    try {
+      return await this.validateWallets(readers[format](), filePath, expectedType, options)
+    } catch (error) {
+      input.destroy()
+      throw error
+    }
   }
   
   /**
-   * Parse JSON file containing array of wallet addresses
+   * Guess the format of a file without a known extension from its first line
    */
-  static async parseJsonFile(filePath, expectedType) {
-    try {
-      const content = fs.readFileSync(filePath, 'utf8')
-      const data = JSON.parse(content)
-      
-      if (!Array.isArray(data)) {
-        throw new Error('JSON file must contain an array of wallet addresses')
+  static detectFormat(firstChunk) {
+    const text = firstChunk.replace(/^﻿/, '').trimStart()
+    const firstLine = text.split(/\r?\n/)[0].trim()
+    
+    if (text.startsWith('[')) return 'json'
+    if (text.startsWith('{') || text.startsWith('"')) return 'ndjson'
+    if (firstLine.includes('\t')) return 'tsv'
+    if (!firstLine.includes(',') && BARE_VALUE_PATTERN.test(firstLine)) return 'list'
+    return 'csv'
+  }
+  
+  /**
+   * The first chunk of a stream, put back so reading starts from the beginning
+   */
+  static peek(stream) {
+    return new Promise((resolve, reject) => {
+      const done = (chunk) => {
+        stream.off('readable', onReadable)
+        stream.off('error', onError)
+        resolve(chunk)
       }
-      
-      const wallets = data.map(item => {
-        if (typeof item === 'string') {
-          return { address: item, privateKey: null }
-        } else if (typeof item === 'object' && item.address) {
-          return {
-            address: item.address,
-            privateKey: item.privateKey || null
+      const onReadable = () => {
+        const chunk = stream.read()
+        if (chunk !== null) {
+          stream.unshift(chunk)
+        }
+        done(chunk || '')
+      }
+      const onError = (error) => {
+        stream.off('readable', onReadable)
+        reject(error)
+      }
+      stream.on('readable', onReadable)
+      stream.once('error', onError)
+    })
+  }
+  
+  /**
+   * One entry per item of a JSON array: { wallet, line, item } or
+   * { line, item, address, error }
+   * Items are cut out of the stream one at a time instead of parsing the
+   * whole file, so a huge array never has to fit in memory as text
+   */
+  static async * readJsonEntries(input, source, expectedType, options) {
+    let line = 1
+    let depth = 0
+    let inString = false
+    let escaped = false
+    let started = false
+    let finished = false
+    let text = ''
+    let textLine = null
+    let count = 0
+    
+    // A bare string is an address; objects use the same columns as CSV rows
+    const nextEntry = () => {
+      const value = text.trim()
+      text = ''
+      if (value === '') {
+        throw new Error(`empty array item on line ${textLine || line}`)
+      }
+      count++
+      const entry = { line: textLine, item: count }
+      textLine = null
+      try {
+        const item = JSON.parse(value)
+        return this.toEntry(entry, item, expectedType, options)
+      } catch (error) {
+        throw new Error(`invalid JSON in array item ${count} (line ${entry.line}): ${error.message}`)
+      }
+    }
+    
+    try {
+      for await (const chunk of input) {
+        for (const char of chunk) {
+          if (char === '\n') line++
+          
+          if (!started) {
+            if (char === '[') {
+              started = true
+              depth = 1
+            } else if (!/\s|﻿/.test(char)) {
+              throw new Error('JSON file must contain an array of wallet addresses')
+            }
+            continue
           }
-        } else {
-          throw new Error('Invalid wallet format in JSON file')
+          
+          if (finished) {
+            if (!/\s/.test(char)) throw new Error(`unexpected content after the array on line ${line}`)
+            continue
+          }
+          
+          if (inString) {
+            if (escaped) {
+              escaped = false
+            } else if (char === '\\') {
+              escaped = true
+            } else if (char === '"') {
+              inString = false
+            }
+            text += char
+            continue
+          }
+          
+          if (depth === 1 && (char === ',' || char === ']')) {
+            // An empty array has no item before its ]
+            if (char === ',' || text.trim() !== '' || count > 0) yield nextEntry()
+            if (char === ']') {
+              finished = true
+              depth = 0
+            }
+            continue
+          }
+          
+          if (char === '"') inString = true
+          if (char === '[' || char === '{') depth++
+          if (char === ']' || char === '}') depth--
+          if (textLine === null && !/\s/.test(char)) textLine = line
+          text += char
         }
-      })
-      
-      console.log(`   ✅ Loaded ${wallets.length} ${expectedType} wallets from JSON`)
-      return this.validateWallets(wallets)
+      }
       
+      if (!finished) {
+        throw new Error(started ? 'unexpected end of file (the array is not closed)' : 'JSON file must contain an array of wallet addresses')
+      }
     } catch (error) {
-      throw new Error(`Failed to parse JSON file ${filePath}: ${error.message}`)
+      throw new Error(`Failed to parse JSON file ${source}: ${error.message}`)
     }
   }
   
   /**
-   * Parse CSV file - auto-detect format based on headers
+   * One entry per line of a newline-delimited JSON file; a line that isn't
+   * valid JSON is rejected on its own
    */
-  static async parseCsvFile(filePath, expectedType) {
-    return new Promise((resolve, reject) => {
-      const wallets = []
-      let headers = []
+  static async * readNdjsonEntries(input, expectedType, options) {
+    let line = 0
+    for await (const text of readline.createInterface({ input, crlfDelay: Infinity })) {
+      line++
+      if (text.trim() === '') continue
       
-      fs.createReadStream(filePath)
-        .pipe(csv())
-        .on('headers', (headerList) => {
-          headers = headerList
-          console.log(`   📊 CSV headers detected: ${headers.join(', ')}`)
-        })
-        .on('data', (row) => {
-          try {
-            const wallet = this.extractWalletFromRow(row, headers, expectedType)
-            if (wallet) {
-              wallets.push(wallet)
-            }
-          } catch (error) {
-            console.warn(`   ⚠️  Skipping invalid row: ${error.message}`)
-          }
-        })
-        .on('end', () => {
-          console.log(`   ✅ Loaded ${wallets.length} ${expectedType} wallets from CSV`)
-          try {
-            const validatedWallets = this.validateWallets(wallets)
-            resolve(validatedWallets)
-          } catch (error) {
-            reject(error)
-          }
-        })
-        .on('error', (error) => {
-          reject(new Error(`Failed to parse CSV file ${filePath}: ${error.message}`))
-        })
-    })
+      let item
+      try {
+        item = JSON.parse(text)
+      } catch (error) {
+        yield { line, item: null, address: null, error: `invalid JSON: ${error.message}` }
+        continue
+      }
+      yield this.toEntry({ line, item: null }, item, expectedType, options)
+    }
   }
   
   /**
-   * Extract wallet info from CSV row based on common column patterns
-   * Handles both donors (need private keys) and recipients (just addresses)
+   * One entry per line of a plain list of addresses (or private keys);
+   * blank lines and # comments are skipped
    */
-  static extractWalletFromRow(row, headers, expectedType = 'unknown') {
-    // Common patterns for wallet address columns
-    const addressColumns = [
-      'address', 'wallet', 'wallet_address', 'public_key', 'publicKey',
-      'walletAddress', 'Address', 'Wallet', 'PublicKey'
-    ]
-    
-    // Common patterns for private key columns  
-    const privateKeyColumns = [
-      'private_key', 'privateKey', 'secret', 'secretKey', 'secret_key',
-      'key', 'PrivateKey', 'Private_Key'
-    ]
-    
-    let address = null
-    let privateKey = null
+  static async * readListEntries(input, expectedType, options) {
+    let line = 0
+    for await (const text of readline.createInterface({ input, crlfDelay: Infinity })) {
+      line++
+      const value = text.replace(/^﻿/, '').trim()
+      if (value === '' || value.startsWith('#')) continue
+      
+      yield this.toEntry({ line, item: null }, { value }, expectedType, { ...options, headers: ['value'] })
+    }
+  }
+  
+  /**
+   * One entry per CSV (or TSV) row: { wallet, line } or { line, address, error }
+   * (line numbers assume no quoted values span lines)
+   */
+  static async * readCsvEntries(input, source, expectedType, options, separator) {
+    let headers = []
+    let line = 1 // The header
+    const parser = csv({ separator })
+    parser.on('headers', (headerList) => {
+      headers = headerList
+      console.log(`   📊 ${separator === '\t' ? 'TSV' : 'CSV'} headers detected: ${headers.join(', ')}`)
+      const missing = [options.addressColumn, options.keyColumn].filter(column => column && !headers.includes(column))
+      if (missing.length > 0) {
+        console.warn(`   ⚠️  Mapped column ${missing.join(', ')} not found; using the usual column names`)
+      }
+    })
+    input.on('error', error => parser.destroy(error))
     
-    // Find address column first
-    for (const col of addressColumns) {
-      if (row[col] && row[col].trim()) {
-        address = row[col].trim()
-        break
+    try {
+      for await (const row of input.pipe(parser)) {
+        line++
+        // Extra values come through as _3, _4...; missing ones are left out
+        const columns = Object.keys(row).length
+        if (columns === 0) {
+          continue // Blank line
+        }
+        if (columns !== headers.length) {
+          yield { line, item: null, address: this.findAddressValue(row, options.addressColumn), error: `expected ${headers.length} columns, found ${columns}` }
+          continue
+        }
+        
+        yield this.toEntry({ line, item: null }, row, expectedType, { ...options, headers })
       }
+    } catch (error) {
+      throw new Error(`Failed to parse ${separator === '\t' ? 'TSV' : 'CSV'} file ${source}: ${error.message}`)
+    }
+  }
+  
+  /**
+   * Turn a parsed row (a CSV row, JSON object or bare address string) into an
+   * entry holding the wallet record, or the reason it was rejected
+   */
+  static toEntry(location, item, expectedType, options = {}) {
+    let row
+    let headers = options.headers || []
+    if (typeof item === 'string') {
+      row = { address: item }
+    } else if (item && typeof item === 'object' && !Array.isArray(item)) {
+      row = this.toRow(item)
+    } else {
+      return { ...location, address: null, error: 'Invalid wallet format (expected an address or an object with address or privateKey)' }
     }
     
+    try {
+      const wallet = this.extractWalletFromRow(row, headers, expectedType, options)
+      return { ...location, wallet }
+    } catch (error) {
+      return { ...location, address: this.findAddressValue(row, options.addressColumn), error: error.message }
+    }
+  }
+  
+  /**
+   * A JSON object as a row of strings, like a CSV row (a key given as a
+   * byte array becomes its JSON text)
+   */
+  static toRow(object) {
+    const row = {}
+    for (const [key, value] of Object.entries(object)) {
+      if (value === null || value === undefined) continue
+      row[key] = typeof value === 'object' ? JSON.stringify(value) : String(value)
+    }
+    return row
+  }
+  
+  /**
+   * Extract wallet info from a row based on common column patterns; every
+   * format goes through here, so they all produce the same wallet record
+   * Handles both donors (need private keys) and recipients (just addresses)
+   * columns.addressColumn / columns.keyColumn are looked at first
+   */
+  static extractWalletFromRow(row, headers, expectedType = 'unknown', columns = {}) {
+    // Find address column first
+    let address = this.findAddressValue(row, columns.addressColumn)
+    let privateKey = null
+    
     // Find private key column
-    for (const col of privateKeyColumns) {
-      if (row[col] && row[col].trim()) {
-        privateKey = row[col].trim()
-        break
-      }
+    const keyValue = this.findColumnValue(row, [columns.keyColumn, ...PRIVATE_KEY_COLUMNS])
+    if (keyValue) {
+      privateKey = this.resolvePrivateKey(keyValue)
     }
     
     // If no address found but we have a private key, derive the address
@@ -169,34 +391,144 @@ class FileParser {
     
     // For recipients, we don't need private keys - just warn if missing for donors
     if (expectedType === 'donor' && !privateKey) {
-      console.log(`   ⚠️  Donor ${address.slice(0, 8)}... has no private key (cannot fund from this wallet)`)
+      console.log(`   ⚠️  Donor ${address.slice(0, 8)}... has no private key (needs a keystore entry to fund from this wallet)`)
     }
     
-    return { address, privateKey }
+    return { address, privateKey, ...this.extractFundingOverrides(row) }
   }
   
   /**
-   * Validate wallet addresses and filter out invalid ones
+   * The value of the first non-empty address column in a row, or null
    */
-  static validateWallets(wallets) {
-    const validWallets = []
-    const invalidCount = wallets.length
+  static findAddressValue(row, addressColumn = null) {
+    return this.findColumnValue(row, [addressColumn, ...ADDRESS_COLUMNS])
+  }
+  
+  /**
+   * The trimmed value of the first of columns that is set in the row, or null
+   */
+  static findColumnValue(row, columns) {
+    for (const col of columns) {
+      if (col && typeof row[col] === 'string' && row[col].trim()) {
+        return row[col].trim()
+      }
+    }
+    return null
+  }
+  
+  /**
+   * A private key value may be a path to a solana-keygen keypair file,
+   * which is read in its place
+   */
+  static resolvePrivateKey(value) {
+    if (value && KeypairLoader.isKeypairPath(value)) {
+      return KeypairLoader.readKeypairFile(value)
+    }
+    return value
+  }
+  
+  /**
+   * Extract optional per-wallet funding settings from a CSV row or JSON object
+   * Empty values fall back to the global .env settings (returned as null)
+   */
+  static extractFundingOverrides(row) {
+    const findValue = (columns) => {
+      for (const col of columns) {
+        const value = row[col]
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+          return String(value).trim()
+        }
+      }
+      return null
+    }
+    
+    const parsePositive = (columns, parse) => {
+      const value = findValue(columns)
+      if (value === null) return null
+      
+      const number = parse(value)
+      if (isNaN(number) || number <= 0) {
+        throw new Error(`${columns[0]} must be a number greater than 0 (got "${value}")`)
+      }
+      return number
+    }
+    
+    return {
+      minAmount: parsePositive(['min_amount', 'minAmount', 'min_sol_amount'], parseFloat),
+      fundingAmount: parsePositive(['funding_amount', 'fundingAmount', 'funding_amount_sol'], parseFloat),
+      lookbackHours: parsePositive(['lookback_hours', 'lookbackHours', 'hours_lookback'], parseInt),
+      targetBalance: parsePositive(['target_balance', 'targetBalance', 'topup_target_sol'], parseFloat),
+      reserveSol: parsePositive(['reserve_sol', 'reserveSol', 'reserve'], parseFloat),
+      label: findValue(['label', 'Label', 'name']),
+      // Pins a recipient to one donor (address or label)
+      donor: findValue(['donor', 'donor_address', 'donorAddress']),
+      // Funding policy groups (POLICY_FILE) the wallet belongs to
+      group: findValue(['group', 'Group', 'cohort']),
+      tags: this.parseTags(findValue(['tags', 'Tags', 'tag']))
+    }
+  }
+  
+  /**
+   * Tags from a JSON array, or a list separated by commas, semicolons or |
+   */
+  static parseTags(value) {
+    if (value === null) return []
     
-    for (const wallet of wallets) {
+    if (value.startsWith('[')) {
       try {
-        // Validate the public key format
-        new PublicKey(wallet.address)
-        validWallets.push(wallet)
+        return JSON.parse(value).map(tag => String(tag).trim()).filter(Boolean)
       } catch (error) {
-        console.warn(`   ⚠️  Invalid wallet address: ${wallet.address}`)
+        // Not JSON after all; split it like any other list
       }
     }
+    return value.split(/[,;|]/).map(tag => tag.trim()).filter(Boolean)
+  }
+  
+  /**
+   * Check parsed entries and keep the usable wallets. Rows that failed to
+   * parse, invalid or off-curve addresses and repeats of an earlier address
+   * are rejected: skipped, or the whole load is aborted with options.strict
+   */
+  static async validateWallets(entries, filePath, expectedType = 'unknown', options = {}) {
+    const validWallets = []
+    const rejected = []
+    // Address -> location of the row it was first loaded from
+    const locations = new Map()
+    
+    let rows = 0
+    for await (const entry of entries) {
+      rows++
+      const location = { line: entry.line || null, item: entry.item || null }
+      const address = entry.wallet ? entry.wallet.address : entry.address
+      let reason = entry.error || this.checkAddress(address)
+      if (!reason && locations.has(address)) {
+        reason = `duplicate of ${ValidationReport.formatLocation(locations.get(address))}`
+      }
+      
+      if (reason) {
+        const issue = { ...location, address: address || null, reason }
+        rejected.push(issue)
+        console.warn(`   ⚠️  Skipping ${ValidationReport.describe(issue)}`)
+        continue
+      }
+      
+      locations.set(address, location)
+      validWallets.push(entry.wallet)
+    }
+    
+    if (options.report) {
+      options.report.addFile(filePath, expectedType, { rows, loaded: validWallets.length, rejected, locations })
+    }
     
     const validCount = validWallets.length
-    const skippedCount = invalidCount - validCount
     
-    if (skippedCount > 0) {
-      console.log(`   ⚠️  Skipped ${skippedCount} invalid wallet addresses`)
+    if (rejected.length > 0) {
+      console.log(`   ⚠️  Skipped ${rejected.length} invalid or duplicate rows`)
+      if (options.strict) {
+        const listed = rejected.slice(0, 5).map(issue => ValidationReport.describe(issue)).join('; ')
+        const more = rejected.length > 5 ? ` and ${rejected.length - 5} more` : ''
+        throw new Error(`${rejected.length} invalid rows in ${filePath} (strict validation): ${listed}${more}`)
+      }
     }
     
     if (validCount === 0) {
@@ -207,31 +539,51 @@ class FileParser {
     return validWallets
   }
   
+  /**
+   * Why an address can't be used, or null when it's fine
+   * Off-curve addresses (program derived addresses) have no private key, so
+   * they are never a wallet someone controls directly
+   */
+  static checkAddress(address) {
+    let publicKey
+    try {
+      publicKey = new PublicKey(address)
+    } catch (error) {
+      return 'invalid wallet address'
+    }
+    
+    if (!PublicKey.isOnCurve(publicKey.toBytes())) {
+      return 'off-curve address (a program derived address, not a wallet)'
+    }
+    return null
+  }
+  
   /**
    * Create example JSON files for testing
+   * Donor examples hold addresses only: keys belong in the encrypted keystore
    */
   static createExampleFiles() {
-    // Donors need private keys for funding
+    // Donor keys are imported with `node index.js keystore import <file>`
     const donorsExample = [
       {
         "address": "4TP5t1QzcfzN1QUrjmZBYKSYXXM8BE7kpw3L55cssLRP",
-        "privateKey": "[234,38,18,35,161,131,224,6,177,223,74,148,96,166,28,123,239,211,58,104,248,14,47,19,24,128,124,153,85,208,68,28,51,85,33,230,42,223,234,142,191,180,249,42,107,115,92,29,63,26,61,255,36,211,145,92,158,116,243,32,139,161,199,2]"
+        "label": "main donor"
       }
     ]
     
     // Recipients only need public addresses
     const recipientsExample = [
-      "G8CcfRffqZWHSAQJXLDfwbAkGE95SddUqVXnTrL4kqjm",
+      "FAe5BcbrN5c1Hcxc5rahLQjeMHQTqhcavKp4JWqLB4Cd",
       "9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM",
       "BM3FZBua5XEhkjkebGjE8xMx8R5YhCrUrPiKfzBPRt6v"
     ]
     
     // Also create simplified CSV examples
-    const donorsCsv = `address,private_key
-4TP5t1QzcfzN1QUrjmZBYKSYXXM8BE7kpw3L55cssLRP,"[234,38,18,35,161,131,224,6,177,223,74,148,96,166,28,123,239,211,58,104,248,14,47,19,24,128,124,153,85,208,68,28,51,85,33,230,42,223,234,142,191,180,249,42,107,115,92,29,63,26,61,255,36,211,145,92,158,116,243,32,139,161,199,2]"`
+    const donorsCsv = `address,label
+4TP5t1QzcfzN1QUrjmZBYKSYXXM8BE7kpw3L55cssLRP,main donor`
     
     const recipientsCsv = `address
-G8CcfRffqZWHSAQJXLDfwbAkGE95SddUqVXnTrL4kqjm
+FAe5BcbrN5c1Hcxc5rahLQjeMHQTqhcavKp4JWqLB4Cd
 9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM
 BM3FZBua5XEhkjkebGjE8xMx8R5YhCrUrPiKfzBPRt6v`
     
@@ -241,7 +593,7 @@ BM3FZBua5XEhkjkebGjE8xMx8R5YhCrUrPiKfzBPRt6v`
     fs.writeFileSync('recipients-example.csv', recipientsCsv)
     
     console.log('✅ Created example files:')
-    console.log('   📄 donors-example.json & donors-example.csv (with private keys)')
+    console.log('   📄 donors-example.json & donors-example.csv (addresses only - import keys with `keystore import`)')
     console.log('   📄 recipients-example.json & recipients-example.csv (addresses only)')
   }
   
@@ -249,22 +601,27 @@ BM3FZBua5XEhkjkebGjE8xMx8R5YhCrUrPiKfzBPRt6v`
    * Derive public key address from private key
    */
   static deriveAddressFromPrivateKey(privateKeyString) {
+    // keystore:ADDRESS refers to an encrypted keystore entry
+    if (privateKeyString.startsWith('keystore:')) {
+      return privateKeyString.slice('keystore:'.length)
+    }
+    
+    return this.parseKeypair(privateKeyString).publicKey.toString()
+  }
+  
+  /**
+   * Parse a plaintext private key (JSON byte array or base58) into a Keypair
+   */
+  static parseKeypair(privateKeyString) {
     try {
-      // Parse private key and create keypair
-      let keypair
-      
       if (privateKeyString.startsWith('[') && privateKeyString.endsWith(']')) {
         // JSON array format
         const keyArray = JSON.parse(privateKeyString)
-        keypair = Keypair.fromSecretKey(new Uint8Array(keyArray))
-      } else {
-        // Try base58 format
-        const bs58 = require('bs58')
-        const secretKey = bs58.decode(privateKeyString)
-        keypair = Keypair.fromSecretKey(secretKey)
+        return Keypair.fromSecretKey(new Uint8Array(keyArray))
       }
       
-      return keypair.publicKey.toString()
+      // Try base58 format
+      return Keypair.fromSecretKey(bs58.decode(privateKeyString))
       
     } catch (error) {
       throw new Error(`Invalid private key format: ${error.message}`)
@@ -0,0 +1,87 @@
+const fs = require('fs')
+const { PublicKey } = require('@solana/web3.js')
+
+// Bump when the plan file layout changes
+const PLAN_VERSION = 1
+
+class FundingPlan {
+  constructor({ version = PLAN_VERSION, createdAt = new Date(), fundingMint = null, transfers = [] }) {
+    this.version = version
+    this.createdAt = new Date(createdAt)
+    this.fundingMint = fundingMint
+    this.transfers = transfers
+  }
+
+  /**
+   * Total amount the plan sends, in SOL or tokens
+   */
+  getTotal() {
+    return Number(this.transfers.reduce((sum, t) => sum + t.amount, 0).toFixed(9))
+  }
+
+  /**
+   * Write the plan as pretty-printed JSON so it's easy to review and diff
+   */
+  save(filePath) {
+    const plan = {
+      version: this.version,
+      createdAt: this.createdAt.toISOString(),
+      fundingMint: this.fundingMint,
+      transfers: this.transfers
+    }
+    fs.writeFileSync(filePath, JSON.stringify(plan, null, 2) + '\n')
+  }
+
+  /**
+   * Read and validate a plan file
+   */
+  static load(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Plan file not found: ${filePath}`)
+    }
+
+    let data
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    } catch (error) {
+      throw new Error(`Invalid plan file ${filePath}: ${error.message}`)
+    }
+
+    if (data.version !== PLAN_VERSION) {
+      throw new Error(`Unsupported plan version ${data.version} in ${filePath} (expected ${PLAN_VERSION})`)
+    }
+
+    if (isNaN(new Date(data.createdAt).getTime())) {
+      throw new Error(`Plan ${filePath} has no valid createdAt`)
+    }
+
+    if (!Array.isArray(data.transfers) || data.transfers.length === 0) {
+      throw new Error(`Plan ${filePath} has no transfers`)
+    }
+
+    const recipients = new Set()
+    data.transfers.forEach((transfer, i) => {
+      for (const field of ['donor', 'recipient']) {
+        try {
+          new PublicKey(transfer[field])
+        } catch (error) {
+          throw new Error(`Plan transfer ${i + 1} has an invalid ${field} address: ${transfer[field]}`)
+        }
+      }
+
+      if (typeof transfer.amount !== 'number' || !(transfer.amount > 0)) {
+        throw new Error(`Plan transfer ${i + 1} has an invalid amount: ${transfer.amount}`)
+      }
+
+      // The ledger tracks one transfer per recipient per run
+      if (recipients.has(transfer.recipient)) {
+        throw new Error(`Plan funds ${transfer.recipient} more than once`)
+      }
+      recipients.add(transfer.recipient)
+    })
+
+    return new FundingPlan(data)
+  }
+}
+
+module.exports = FundingPlan
@@ -0,0 +1,145 @@
+const fs = require('fs')
+const YAML = require('yaml')
+
+// Policy keys and the Config setting each one replaces for its group
+const SETTINGS = {
+  min_amount: 'minSolAmount',
+  lookback_hours: 'hoursLookback',
+  funding_amount: 'fundingAmountSol',
+  max_operations: 'maxFundingOperations'
+}
+
+// Settings that must be whole numbers
+const INTEGER_SETTINGS = ['lookback_hours', 'max_operations']
+
+// The group for wallets that name no group in the policy
+const DEFAULT_GROUP = 'default'
+
+class FundingPolicy {
+  /**
+   * Per-group funding rules from POLICY_FILE (JSON or YAML):
+   *
+   *   groups:
+   *     market-makers:
+   *       donors: [mm-pool]     # donor addresses, labels, groups or tags
+   *       min_amount: 0.5
+   *       lookback_hours: 24
+   *       funding_amount: 1
+   *       max_operations: 20
+   *
+   * A wallet belongs to the group named in its group column, or else to the
+   * first of its tags that is a group. Wallets in no group go to the group
+   * called default if there is one, and are left out otherwise
+   * groups: [{ name, donors, settings }] with settings keyed like Config
+   */
+  constructor(groups, filePath = null) {
+    this.groups = groups
+    this.filePath = filePath
+    this.names = new Set(groups.map(group => group.name))
+  }
+
+  static load(filePath) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Policy file not found: ${filePath}`)
+    }
+
+    let data
+    try {
+      const content = fs.readFileSync(filePath, 'utf8')
+      data = /\.ya?ml$/i.test(filePath) ? YAML.parse(content) : JSON.parse(content)
+    } catch (error) {
+      throw new Error(`Failed to parse policy file ${filePath}: ${error.message}`)
+    }
+
+    return new FundingPolicy(FundingPolicy.parseGroups(data, filePath), filePath)
+  }
+
+  static parseGroups(data, filePath = 'policy') {
+    const groups = data && data.groups
+    if (!groups || typeof groups !== 'object' || Array.isArray(groups) || Object.keys(groups).length === 0) {
+      throw new Error(`${filePath} must have a groups object with at least one group`)
+    }
+
+    return Object.entries(groups).map(([name, rules]) => {
+      rules = rules || {}
+      const unknown = Object.keys(rules).filter(key => key !== 'donors' && !SETTINGS[key])
+      if (unknown.length > 0) {
+        throw new Error(`Unknown setting ${unknown.join(', ')} in policy group ${name} (use donors, ${Object.keys(SETTINGS).join(', ')})`)
+      }
+
+      const settings = {}
+      for (const [key, setting] of Object.entries(SETTINGS)) {
+        if (rules[key] === undefined || rules[key] === null) continue
+
+        const value = Number(rules[key])
+        if (!(value > 0) || (INTEGER_SETTINGS.includes(key) && !Number.isInteger(value))) {
+          throw new Error(`${key} in policy group ${name} must be a ${INTEGER_SETTINGS.includes(key) ? 'whole ' : ''}number greater than 0 (got ${JSON.stringify(rules[key])})`)
+        }
+        settings[setting] = value
+      }
+
+      const donors = rules.donors === undefined || rules.donors === null ? [] : [].concat(rules.donors).map(String)
+      return { name, donors, settings }
+    })
+  }
+
+  /**
+   * Name of the group a wallet belongs to, or null
+   */
+  getGroupName(wallet) {
+    const match = [wallet.group, ...(wallet.tags || [])].find(name => name && this.names.has(name))
+    if (match) {
+      return match
+    }
+    return this.names.has(DEFAULT_GROUP) ? DEFAULT_GROUP : null
+  }
+
+  /**
+   * The donors a group funds from: those whose address, label, group or one
+   * of whose tags is in its donors list (every donor when it has no list)
+   */
+  selectDonors(group, donors) {
+    if (group.donors.length === 0) {
+      return donors
+    }
+
+    const wanted = new Set(group.donors)
+    return donors.filter(donor => [donor.address, donor.label, donor.group, ...(donor.tags || [])].some(value => value && wanted.has(value)))
+  }
+
+  /**
+   * Split the recipients into one run per group, in policy file order
+   * Returns { runs: [{ name, config, donors, recipients }], unassigned }
+   * where config has the group's settings and unassigned are the recipients
+   * no group takes; groups without recipients are left out
+   */
+  assign(config, donors, recipients) {
+    const byGroup = new Map(this.groups.map(group => [group.name, []]))
+    const unassigned = []
+
+    for (const recipient of recipients) {
+      const name = this.getGroupName(recipient)
+      if (name) {
+        byGroup.get(name).push(recipient)
+      } else {
+        unassigned.push(recipient)
+      }
+    }
+
+    const runs = []
+    for (const group of this.groups) {
+      const groupRecipients = byGroup.get(group.name)
+      if (groupRecipients.length === 0) continue
+
+      const groupDonors = this.selectDonors(group, donors)
+      if (groupDonors.length === 0) {
+        throw new Error(`Policy group ${group.name} has ${groupRecipients.length} recipients but no donor matches its donors list (${group.donors.join(', ')})`)
+      }
+      runs.push({ name: group.name, config: config.withSettings(group.settings), donors: groupDonors, recipients: groupRecipients })
+    }
+
+    return { runs, unassigned }
+  }
+}
+
+module.exports = FundingPolicy
@@ -0,0 +1,191 @@
+const { PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js')
+const {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  getMint,
+  getAccountLenForMint,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+  unpackAccount
+} = require('@solana/spl-token')
+
+// getMultipleAccountsInfo accepts at most 100 addresses per call
+const MAX_ACCOUNTS_PER_CALL = 100
+
+class FundingToken {
+  constructor(config, connection) {
+    this.config = config
+    this.connection = connection
+    this.mint = new PublicKey(config.fundingMint)
+    this.programId = null
+    this.decimals = null
+    this.mintInfo = null
+    this.accountRentSol = null
+  }
+
+  /**
+   * Look up the mint's token program (SPL Token or Token-2022) and decimals
+   */
+  async load() {
+    if (this.programId) {
+      return this
+    }
+
+    const accountInfo = await this.connection.getAccountInfo(this.mint)
+    if (!accountInfo) {
+      throw new Error(`Mint ${this.mint.toBase58()} not found`)
+    }
+
+    if (accountInfo.owner.equals(TOKEN_PROGRAM_ID)) {
+      this.programId = TOKEN_PROGRAM_ID
+    } else if (accountInfo.owner.equals(TOKEN_2022_PROGRAM_ID)) {
+      this.programId = TOKEN_2022_PROGRAM_ID
+    } else {
+      throw new Error(`${this.mint.toBase58()} is not an SPL Token or Token-2022 mint`)
+    }
+
+    this.mintInfo = await getMint(this.connection, this.mint, 'confirmed', this.programId)
+    this.decimals = this.mintInfo.decimals
+    return this
+  }
+
+  /**
+   * SOL needed to create a recipient's token account (Token-2022 mints with
+   * extensions need bigger accounts)
+   */
+  async getAccountRentSol() {
+    if (this.accountRentSol === null) {
+      await this.load()
+      const lamports = await this.connection.getMinimumBalanceForRentExemption(getAccountLenForMint(this.mintInfo))
+      this.accountRentSol = lamports / LAMPORTS_PER_SOL
+    }
+    return this.accountRentSol
+  }
+
+  getProgramName() {
+    return this.programId && this.programId.equals(TOKEN_2022_PROGRAM_ID) ? 'Token-2022' : 'SPL Token'
+  }
+
+  /**
+   * Convert a UI amount (e.g. 1.5 USDC) to base units, without float rounding errors
+   */
+  toBaseUnits(amount) {
+    const [whole, fraction = ''] = amount.toFixed(this.decimals).split('.')
+    return BigInt(whole + fraction.padEnd(this.decimals, '0'))
+  }
+
+  fromBaseUnits(baseUnits) {
+    return Number(baseUnits) / Math.pow(10, this.decimals)
+  }
+
+  getTokenAccountAddress(ownerAddress) {
+    // allowOwnerOffCurve so PDA recipients get a token account too
+    return getAssociatedTokenAddressSync(this.mint, new PublicKey(ownerAddress), true, this.programId)
+  }
+
+  /**
+   * Token balance of a wallet's associated token account (0 if it doesn't exist)
+   */
+  async getBalance(ownerAddress) {
+    const balances = await this.getBalances([ownerAddress])
+    return balances.get(ownerAddress)
+  }
+
+  /**
+   * Token balances for many wallets, 100 per RPC call
+   * Returns a Map of owner address -> UI amount
+   */
+  async getBalances(ownerAddresses) {
+    const balances = new Map()
+
+    for (let i = 0; i < ownerAddresses.length; i += MAX_ACCOUNTS_PER_CALL) {
+      const chunk = ownerAddresses.slice(i, i + MAX_ACCOUNTS_PER_CALL)
+      const tokenAccounts = chunk.map(owner => this.getTokenAccountAddress(owner))
+      const accounts = await this.connection.getMultipleAccountsInfo(tokenAccounts)
+
+      chunk.forEach((owner, j) => {
+        const account = accounts[j] ? unpackAccount(tokenAccounts[j], accounts[j], this.programId) : null
+        balances.set(owner, account ? this.fromBaseUnits(account.amount) : 0)
+      })
+    }
+
+    return balances
+  }
+
+  /**
+   * Instructions to send `amount` tokens from a donor to a recipient,
+   * creating the recipient's associated token account if it's missing
+   */
+  buildTransferInstructions(fromPublicKey, recipientAddress, amount) {
+    const sourceAccount = this.getTokenAccountAddress(fromPublicKey.toBase58())
+    const destinationAccount = this.getTokenAccountAddress(recipientAddress)
+
+    return [
+      createAssociatedTokenAccountIdempotentInstruction(
+        fromPublicKey,
+        destinationAccount,
+        new PublicKey(recipientAddress),
+        this.mint,
+        this.programId
+      ),
+      createTransferCheckedInstruction(
+        sourceAccount,
+        this.mint,
+        destinationAccount,
+        fromPublicKey,
+        this.toBaseUnits(amount),
+        this.decimals,
+        [],
+        this.programId
+      )
+    ]
+  }
+
+  /**
+   * Tokens of this mint moved from donors to the recipient in a transaction,
+   * worked out from preTokenBalances/postTokenBalances
+   * Returns [{ donor, amount }]
+   */
+  getDonorTransfers(transaction, recipientAddress, donorAddresses) {
+    if (!transaction.meta || transaction.meta.err) {
+      return [] // Failed transaction
+    }
+
+    const mint = this.mint.toBase58()
+    const changes = new Map()
+
+    const addBalances = (balances, sign) => {
+      for (const balance of balances || []) {
+        if (balance.mint !== mint || !balance.owner) continue
+        const change = changes.get(balance.owner) || 0n
+        changes.set(balance.owner, change + sign * BigInt(balance.uiTokenAmount.amount))
+      }
+    }
+
+    // A token account created in the transaction has no pre balance, which counts as 0
+    addBalances(transaction.meta.postTokenBalances, 1n)
+    addBalances(transaction.meta.preTokenBalances, -1n)
+
+    const received = changes.get(recipientAddress) || 0n
+    if (received <= 0n) {
+      return []
+    }
+
+    // Credit what the recipient received to donors whose balance went down,
+    // never more than each donor actually sent
+    const transfers = []
+    let remaining = received
+    for (const [owner, change] of changes) {
+      if (change >= 0n || remaining <= 0n || !donorAddresses.includes(owner)) continue
+
+      const amount = -change < remaining ? -change : remaining
+      remaining -= amount
+      transfers.push({ donor: owner, amount: this.fromBaseUnits(amount) })
+    }
+
+    return transfers
+  }
+}
+
+module.exports = FundingToken
@@ -0,0 +1,141 @@
+const axios = require('axios')
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js')
+
+// The enhanced transactions endpoint returns at most 100 transactions per request
+const PAGE_SIZE = 100
+
+const REQUEST_TIMEOUT_MS = 15000
+
+// With a type filter, a page with no matches comes back as an error naming the
+// signature to continue from
+const CONTINUE_PATTERN = /set to ([1-9A-HJ-NP-Za-km-z]{64,90})/
+
+class HeliusHistory {
+  /**
+   * Funding checks through Helius' enhanced transactions API
+   * (/v0/addresses/{address}/transactions?type=TRANSFER): one request returns
+   * a page of already parsed transfers, instead of a signature list plus a
+   * transaction fetch per signature
+   *
+   * History backends have a name and findFunding(recipientAddress,
+   * donorAddresses, cutoffTime, minSolAmount), which returns the match
+   * ({ signature, donor, amount, blockTime }), false, or { inconclusive, reason }
+   * when MAX_SIGNATURES_PER_WALLET runs out before the cutoff, and throws when
+   * the history can't be read (TransactionChecker then scans the RPC instead)
+   */
+  constructor(config, rateLimiter = null) {
+    this.config = config
+    this.rateLimiter = rateLimiter
+    this.name = 'Helius'
+    // Set when the API rejects the key; the rest of the run uses the RPC
+    this.disabled = null
+  }
+
+  async findFunding(recipientAddress, donorAddresses, cutoffTime, minSolAmount = this.config.minSolAmount) {
+    const donors = new Set(donorAddresses)
+    const cutoff = cutoffTime.getTime() / 1000
+    let total = 0
+    let before = null
+    let scanned = 0
+
+    while (scanned < this.config.maxSignaturesPerWallet) {
+      const page = await this.fetchPage(recipientAddress, before)
+      scanned += PAGE_SIZE
+
+      for (const transaction of page.transactions) {
+        if (transaction.timestamp < cutoff) {
+          return false // Newest first, so the rest is older too
+        }
+        if (transaction.transactionError) continue
+
+        const transfers = this.getDonorTransfers(transaction, recipientAddress, donors)
+        if (transfers.length === 0) continue
+
+        const received = transfers.reduce((sum, t) => sum + t.amount, 0)
+        total = this.config.sumTransfersInWindow ? total + received : received
+        if (total >= minSolAmount) {
+          console.log(`     💰 Found funding: ${total.toFixed(6)} ${this.config.getAmountUnit()} from ${transfers[0].donor.slice(0, 8)}... (Helius)`)
+          return { signature: transaction.signature, donor: transfers[0].donor, amount: total, blockTime: transaction.timestamp || null }
+        }
+      }
+
+      if (!page.next) {
+        return false // Start of the history
+      }
+      before = page.next
+    }
+
+    return { inconclusive: true, reason: `more than ${this.config.maxSignaturesPerWallet} transactions in the window (MAX_SIGNATURES_PER_WALLET)` }
+  }
+
+  /**
+   * Donor transfers to the recipient in an enhanced transaction: native SOL
+   * transfers, or token transfers of FUNDING_MINT (amounts already in tokens)
+   * Returns [{ donor, amount }]
+   */
+  getDonorTransfers(transaction, recipientAddress, donors) {
+    if (this.config.fundingMint) {
+      return (transaction.tokenTransfers || [])
+        .filter(t => t.mint === this.config.fundingMint && t.toUserAccount === recipientAddress && donors.has(t.fromUserAccount))
+        .map(t => ({ donor: t.fromUserAccount, amount: Number(t.tokenAmount) }))
+    }
+
+    return (transaction.nativeTransfers || [])
+      .filter(t => t.toUserAccount === recipientAddress && donors.has(t.fromUserAccount))
+      .map(t => ({ donor: t.fromUserAccount, amount: Number(t.amount) / LAMPORTS_PER_SOL }))
+  }
+
+  /**
+   * One page of TRANSFER transactions, newest first
+   * Returns { transactions, next } where next is the signature to continue from (or null)
+   */
+  async fetchPage(address, before) {
+    const request = () => axios.get(`${this.config.getHeliusApiUrl()}/v0/addresses/${address}/transactions`, {
+      params: { 'api-key': this.config.heliusApiKey, type: 'TRANSFER', limit: PAGE_SIZE, ...(before ? { before } : {}) },
+      timeout: REQUEST_TIMEOUT_MS
+    })
+
+    try {
+      const { data } = this.rateLimiter ? await this.rateLimiter.schedule(() => this.send(request)) : await this.send(request)
+      if (!Array.isArray(data)) {
+        throw new Error('unexpected response from Helius API')
+      }
+      const next = data.length === PAGE_SIZE ? data[data.length - 1].signature : null
+      return { transactions: data, next }
+    } catch (error) {
+      const match = error.detail && error.detail.match(CONTINUE_PATTERN)
+      if (match) {
+        return { transactions: [], next: match[1] }
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Make the request, turning HTTP errors into messages the rate limiter
+   * understands (it retries 429 and 5xx)
+   */
+  async send(request) {
+    try {
+      return await request()
+    } catch (error) {
+      if (!error.response) {
+        throw error
+      }
+
+      const { status, data } = error.response
+      const detail = data && typeof data.error === 'string' ? data.error : error.message
+      if (status === 401 || status === 403) {
+        this.disabled = `HTTP ${status}`
+        console.log(`   ⚠️  Helius API rejected HELIUS_API_KEY (HTTP ${status}) - using RPC history for the rest of the run`)
+      }
+
+      const httpError = new Error(`HTTP ${status} error from Helius API: ${detail}`)
+      httpError.status = status
+      httpError.detail = detail
+      throw httpError
+    }
+  }
+}
+
+module.exports = HeliusHistory
@@ -1,132 +1,1103 @@
 #!/usr/bin/env node
 
+const fs = require('fs')
 const { Command } = require('commander')
+const { default: bs58 } = require('bs58')
 const Config = require('./config')
 const FileParser = require('./file-parser')
 const TransactionChecker = require('./transaction-checker')
 const WalletFunder = require('./wallet-funder')
+const Ledger = require('./ledger')
+const RateLimiter = require('./rate-limiter')
+const ConnectionPool = require('./connection-pool')
+const FundingPlan = require('./funding-plan')
+const RunReport = require('./run-report')
+const Keystore = require('./keystore')
+const KeypairLoader = require('./keypair-loader')
+const LockFile = require('./lock-file')
+const Watcher = require('./watcher')
+const RecipientMonitor = require('./recipient-monitor')
+const Notifier = require('./notifier')
+const ValidationReport = require('./validation-report')
+const FundingPolicy = require('./funding-policy')
 
-const program = new Command()
+// The CLI being run, and a connection main() was given to use instead of a new one
+let program = null
+let injectedConnection = null
 
-program
-  .name('wallet-funding-cli')
-  .description('CLI tool to check and fund wallets based on transaction history')
-  .version('1.0.0')
+// Kept so quiet mode can be undone when the command finishes
+const consoleLog = console.log
 
-program
-  .option('-a, --amount <number>', '[HACKERMAN MODE] Override minimum SOL amount from .env', parseFloat)
-  .option('-h, --hours <number>', '[HACKERMAN MODE] Override hours lookback from .env', parseInt)
-  .option('-f, --funding <number>', '[HACKERMAN MODE] Override funding amount from .env', parseFloat)
-  .option('-d, --donors <path>', '[HACKERMAN MODE] Override donors file path from .env')
-  .option('-r, --recipients <path>', '[HACKERMAN MODE] Override recipients file path from .env')
-  .option('--execute', '[DANGER] Execute real transactions (override DRY_RUN=true from .env)')
-  .option('--create-examples', 'Create example files and exit')
+/**
+ * Load .env settings with CLI overrides applied, then print the banner
+ * (unless quiet mode or a report on stdout silences it)
+ */
+function setupConfig(options) {
+  const config = new Config()
+  config.override(options)
+  
+  if (config.quiet || config.reportFile === '-') {
+    console.log = () => {}
+  }
+  
+  console.log('🚀 WALLET FUNDING CLI TOOL')
+  console.log('=' .repeat(60))
+  console.log('')
+  
+  // Check if user is using CLI overrides
+  const usingOverrides = Object.keys(program.opts()).length > 0 && !options.createExamples
+  if (usingOverrides) {
+    console.log('🤖 HACKERMAN MODE: Using CLI argument overrides')
+    console.log('   💡 Tip: Configure .env file for normal operation')
+    console.log('')
+  }
+  
+  config.print()
+  
+  return config
+}
+
+/**
+ * FileParser.parseWalletFile options from the config
+ */
+function getParseOptions(config, overrides = {}) {
+  return {
+    strict: config.strictValidation,
+    addressColumn: config.addressColumn,
+    keyColumn: config.keyColumn,
+    ...overrides
+  }
+}
+
+/**
+ * Donors from DONORS_FILE (a file or a directory of keypair files), plus any
+ * derived from DONOR_MNEMONIC, in which case DONORS_FILE is optional
+ * parseOptions are passed on to FileParser.parseWalletFile
+ */
+async function loadDonors(config, parseOptions = getParseOptions(config)) {
+  const mnemonic = process.env.DONOR_MNEMONIC
+  if (!mnemonic) {
+    return await FileParser.parseWalletFile(config.donorsFile, 'donor', parseOptions)
+  }
+  
+  const derived = KeypairLoader.deriveFromMnemonic(mnemonic, {
+    derivationPath: config.donorDerivationPath,
+    count: config.donorCount,
+    startIndex: config.donorStartIndex,
+    passphrase: process.env.DONOR_MNEMONIC_PASSPHRASE || ''
+  }).map(wallet => ({ ...FileParser.extractFundingOverrides({}), ...wallet }))
+  console.log(`🌱 Derived ${derived.length} donor wallets from DONOR_MNEMONIC`)
+  
+  if (config.donorsFile !== '-' && !fs.existsSync(config.donorsFile)) {
+    return derived
+  }
+  
+  // Rows in the donors file can add labels or settings to a derived donor
+  const fromFile = await FileParser.parseWalletFile(config.donorsFile, 'donor', parseOptions)
+  const derivedByAddress = new Map(derived.map(d => [d.address, d]))
+  const listed = new Set(fromFile.map(d => d.address))
+  const merged = fromFile.map(donor => {
+    const match = derivedByAddress.get(donor.address)
+    return match && !donor.privateKey ? { ...donor, privateKey: match.privateKey } : donor
+  })
+  return [...merged, ...derived.filter(d => !listed.has(d.address))]
+}
 
-async function main() {
+/**
+ * Parse the donor and recipient files, checking every row; the findings go
+ * to validation (and VALIDATION_REPORT_FILE, even when a check aborts the load)
+ */
+async function loadWallets(config, { validation = new ValidationReport(), strict = config.strictValidation } = {}) {
+  console.log('📄 LOADING WALLET FILES')
+  console.log('=' .repeat(60))
+  
+  const parseOptions = getParseOptions(config, { strict, report: validation })
+  let donors
+  let recipients
   try {
-    program.parse()
-    const options = program.opts()
-    
-    console.log('🚀 WALLET FUNDING CLI TOOL')
+    donors = await loadDonors(config, parseOptions)
+    recipients = await FileParser.parseWalletFile(config.recipientsFile, 'recipient', parseOptions)
+    validation.checkOverlap(donors, recipients, config.recipientsFile)
+  } finally {
+    if (config.validationReportFile) {
+      validation.write(config.validationReportFile)
+    }
+  }
+  
+  console.log('')
+  console.log('📊 WALLET SUMMARY:')
+  console.log(`   👥 Donors loaded: ${donors.length}`)
+  console.log(`   📨 Recipients loaded: ${recipients.length}`)
+  console.log(`   🔑 Donors with private keys: ${donors.filter(d => d.privateKey).length}`)
+  console.log(`   🎯 Recipients with custom funding settings: ${recipients.filter(r => r.minAmount || r.fundingAmount || r.lookbackHours).length}`)
+  console.log('')
+  
+  if (donors.length === 0) {
+    throw new Error('No donor wallets found')
+  }
+  
+  if (recipients.length === 0) {
+    throw new Error('No recipient wallets found')
+  }
+  
+  return { donors, recipients }
+}
+
+/**
+ * Load the funding ledger and resume an interrupted run if there is one
+ */
+async function openLedger(config, funder) {
+  console.log('📒 FUNDING LEDGER')
+  console.log('=' .repeat(60))
+  
+  const run = funder.ledger.startRun()
+  
+  if (run.resumed) {
+    console.log(`🔁 Resuming interrupted run ${run.runId}`)
+    await funder.reconcilePendingTransfers(run.pending)
+  } else {
+    console.log(`🆔 Run ID: ${run.runId}`)
+  }
+  
+  return run
+}
+
+/**
+ * Skip recipients the ledger already covers, then check history and/or
+ * balances depending on the funding mode
+ * Returns { recipientsToCheck, unfundedRecipients, skippedByLedger }
+ */
+async function findRecipientsToFund(config, { ledger, checker }, donors, recipients) {
+  // Top-ups only need to skip transfers still in flight; the balance covers the rest
+  let recipientsToCheck
+  if (config.usesHistory()) {
+    const lastFundedTimes = ledger.getLastFundedTimes(config.fundingMint)
+    recipientsToCheck = recipients.filter(r => {
+      const lastFunded = lastFundedTimes.get(r.address)
+      return !lastFunded || lastFunded < config.getTimeframeCutoff(r)
+    })
+    console.log(`   📒 Funded by this tool within their lookback window (skipped): ${recipients.length - recipientsToCheck.length}`)
+  } else {
+    const inFlight = ledger.getInFlightRecipients()
+    recipientsToCheck = recipients.filter(r => !inFlight.has(r.address))
+    console.log(`   📒 Transfers still in flight (skipped): ${recipients.length - recipientsToCheck.length}`)
+  }
+  console.log('')
+  
+  console.log('🔍 TRANSACTION ANALYSIS')
+  console.log('=' .repeat(60))
+  
+  let unfundedRecipients = recipientsToCheck
+  
+  if (config.usesHistory()) {
+    unfundedRecipients = await checker.findUnfundedRecipients(donors, unfundedRecipients)
+  }
+  
+  if (config.usesTopUp()) {
+    unfundedRecipients = await checker.findRecipientsBelowTarget(unfundedRecipients)
+  }
+  
+  const checked = new Set(recipientsToCheck.map(r => r.address))
+  const skippedByLedger = new Set(recipients.filter(r => !checked.has(r.address)).map(r => r.address))
+  
+  return { recipientsToCheck, unfundedRecipients, skippedByLedger }
+}
+
+/**
+ * Unlock the keystore if any donor's key lives there
+ * Returns null when no donor needs it
+ */
+async function openKeystore(config, donors) {
+  const keystore = new Keystore(config.keystoreFile)
+  const needed = donors.filter(d => d.privateKey ? d.privateKey.startsWith('keystore:') : keystore.has(d.address))
+  
+  if (needed.length === 0) {
+    return null
+  }
+  
+  if (!keystore.exists()) {
+    throw new Error(`Keystore file not found: ${config.keystoreFile}`)
+  }
+  
+  await keystore.unlock(await Keystore.getPassphrase())
+  console.log(`🔐 Keystore unlocked: ${needed.length} donor keys from ${config.keystoreFile}`)
+  console.log('')
+  return keystore
+}
+
+/**
+ * Shared setup for every command that talks to the RPC: one rate limiter and
+ * connection for the whole run, the ledger, and a checker and funder using them
+ * Pass shared.rateLimiter / shared.connection / shared.notifier to reuse them
+ * across runs (watch mode), and shared.ledger / shared.history /
+ * shared.spendingLimits across the policy groups of one run
+ */
+function createServices(config, keystore = null, shared = {}) {
+  const rateLimiter = shared.rateLimiter || new RateLimiter(config)
+  const connection = shared.connection || createConnection(config, rateLimiter)
+  const notifier = shared.notifier || new Notifier(config)
+  const ledger = shared.ledger || new Ledger(config.ledgerFile)
+  // A policy group's checker reuses the run's history backend, and its connection was already announced
+  const checker = shared.ledger
+    ? new TransactionChecker(config, { rateLimiter, connection, history: shared.history, announce: false })
+    : new TransactionChecker(config, { rateLimiter, connection })
+  const funder = new WalletFunder(config, { ledger, rateLimiter, keystore, connection, notifier, spendingLimits: shared.spendingLimits })
+  return { rateLimiter, connection, ledger, checker, funder, notifier }
+}
+
+/**
+ * The recipients split into one run per POLICY_FILE group, each with the
+ * group's donors and settings; without a policy, one run with everything
+ * Returns [{ name, config, donors, recipients }] (name is null without a policy)
+ */
+function getGroupRuns(config, donors, recipients) {
+  if (!config.policyFile) {
+    return [{ name: null, config, donors, recipients }]
+  }
+  
+  const policy = FundingPolicy.load(config.policyFile)
+  const { runs, unassigned } = policy.assign(config, donors, recipients)
+  
+  console.log('🗂️  FUNDING POLICY')
+  console.log('=' .repeat(60))
+  for (const run of runs) {
+    const { config: groupConfig } = run
+    console.log(`   ${run.name}: ${run.recipients.length} recipients, ${run.donors.length} donors - min ${groupConfig.minSolAmount} ${groupConfig.getAmountUnit()} in ${groupConfig.hoursLookback}h, fund ${groupConfig.fundingAmountSol} ${groupConfig.getAmountUnit()}, max ${groupConfig.maxFundingOperations} operations`)
+  }
+  if (unassigned.length > 0) {
+    console.log(`   ⚠️  ${unassigned.length} recipients are in no policy group and are skipped (add a default group to include them)`)
+  }
+  console.log('')
+  
+  return runs
+}
+
+/**
+ * Header for one group's part of the run (nothing without a policy)
+ */
+function printGroupHeader(group) {
+  if (group.name) {
+    console.log(`🗂️  GROUP: ${group.name}`)
     console.log('=' .repeat(60))
+  }
+}
+
+/**
+ * Per-group totals, printed under the final summary when a policy is in use
+ */
+function printGroupSummaries(groupSummaries) {
+  if (groupSummaries.length === 0 || !groupSummaries[0].group) {
+    return
+  }
+  console.log('🗂️  By group:')
+  for (const summary of groupSummaries) {
+    const funding = summary.successful !== undefined ? `, ${summary.successful} funded, ${summary.failed} failed, ${summary.skipped} skipped` : ''
+    console.log(`   ${summary.group}: ${summary.checked} checked, ${summary.needingFunds} needing funds${funding}${summary.stoppedReason ? ` (stopped: ${summary.stoppedReason})` : ''}`)
+  }
+}
+
+/**
+ * The connection pool over every RPC endpoint, with each request going
+ * through the rate limiter
+ */
+function createConnection(config, rateLimiter) {
+  return rateLimiter.wrapConnection(injectedConnection || new ConnectionPool(config).connection)
+}
+
+/**
+ * Send a run_failed notification if fn throws, then rethrow
+ */
+async function notifyOnFailure(notifier, command, fn) {
+  try {
+    return await fn()
+  } catch (error) {
+    await notifier.notify('run_failed', { command, error: error.message })
+    throw error
+  }
+}
+
+/**
+ * Run a command that sends transfers while holding LOCK_FILE, so it never
+ * overlaps another run (a watch cycle, or a cron job started twice)
+ */
+async function withLock(config, command, fn) {
+  const lock = new LockFile(config.lockFile)
+  const holder = lock.acquire(command)
+  if (holder) {
+    throw new Error(`Another funding run is in progress (pid ${holder.pid}, lock file ${config.lockFile})`)
+  }
+  
+  try {
+    return await fn()
+  } finally {
+    lock.release()
+  }
+}
+
+/**
+ * Donor balances of the funding asset, only fetched when a report needs them
+ */
+async function getDonorBalances(report, checker, donors) {
+  return report ? await checker.getFundingBalances(donors.map(d => d.address)) : null
+}
+
+function printDryRunNote(config) {
+  if (config.dryRun) {
     console.log('')
+    console.log('🛡️  DRY RUN MODE: No real transactions were sent')
+    console.log('💡 Use --execute flag to perform real funding operations')
+  }
+}
+
+/**
+ * Full run: check every recipient and fund the ones that need it
+ */
+async function runFund(options) {
+  // Handle example file creation
+  if (options.createExamples) {
+    FileParser.createExampleFiles()
+    return
+  }
+  
+  const config = setupConfig(options)
+  const notifier = new Notifier(config)
+  await notifyOnFailure(notifier, 'fund', () => withLock(config, 'fund', () => fundCycle(config, { notifier })))
+}
+
+/**
+ * One check-and-fund pass, reusing shared.rateLimiter, shared.connection,
+ * shared.notifier and shared.keystore when given (watch mode keeps them across cycles)
+ * shared.failOnCheckErrors throws instead of funding when every check failed
+ * With POLICY_FILE, each group is checked and funded in turn on the same
+ * connection, ledger and spending limits
+ */
+async function fundCycle(config, shared = {}) {
+  const report = config.reportFile ? new RunReport(config, 'fund') : null
+  const { donors, recipients } = await loadWallets(config)
+  shared.keystore = shared.keystore || await openKeystore(config, donors)
+  const groups = getGroupRuns(config, donors, recipients)
+  const services = createServices(config, shared.keystore, shared)
+  const { checker, funder, notifier } = services
+  const groupShared = { ...shared, rateLimiter: services.rateLimiter, connection: services.connection, notifier, ledger: services.ledger, history: checker.history }
+  
+  const run = await openLedger(config, funder)
+  const donorBalancesBefore = await getDonorBalances(report, checker, donors)
+  
+  const checkResults = new Map()
+  const skippedByLedger = new Set()
+  const transfers = []
+  const groupSummaries = []
+  let spendingLimits = null
+  
+  for (const group of groups) {
+    printGroupHeader(group)
+    const groupServices = group.name ? createServices(group.config, shared.keystore, { ...groupShared, spendingLimits }) : services
+    const found = await findRecipientsToFund(group.config, groupServices, group.donors, group.recipients)
+    const { recipientsToCheck, unfundedRecipients } = found
+    groupServices.checker.results.forEach((result, address) => checkResults.set(address, result))
+    found.skippedByLedger.forEach(address => skippedByLedger.add(address))
     
-    // Check if user is using CLI overrides
-    const usingOverrides = Object.keys(options).length > 0 && !options.createExamples
-    if (usingOverrides) {
-      console.log('🤖 HACKERMAN MODE: Using CLI argument overrides')
-      console.log('   💡 Tip: Configure .env file for normal operation')
-      console.log('')
-    }
-    
-    // Handle example file creation
-    if (options.createExamples) {
-      FileParser.createExampleFiles()
-      return
+    // Checks fail one recipient at a time instead of throwing, so in watch mode an
+    // RPC outage is caught here (and backed off) rather than funding everyone blind
+    const checkErrors = [...groupServices.checker.results.values()].filter(r => r.status === 'error')
+    if (shared.failOnCheckErrors && recipientsToCheck.length > 0 && checkErrors.length === recipientsToCheck.length) {
+      throw new Error(`All ${checkErrors.length} recipient checks failed (${checkErrors[0].error})`)
     }
     
-    // Load and override configuration
-    const config = new Config()
-    config.override(options)
-    config.print()
-    
-    // Parse wallet files
-    console.log('📄 LOADING WALLET FILES')
+    // Fund unfunded wallets
+    console.log('💸 WALLET FUNDING')
     console.log('=' .repeat(60))
     
-    const donors = await FileParser.parseWalletFile(config.donorsFile, 'donor')
-    const recipients = await FileParser.parseWalletFile(config.recipientsFile, 'recipient')
-    
+    const results = await groupServices.funder.fundWallets(unfundedRecipients, group.donors)
+    spendingLimits = groupServices.funder.spendingLimits || spendingLimits
+    transfers.push(...results.transfers)
+    groupSummaries.push({
+      group: group.name,
+      recipients: group.recipients.length,
+      checked: recipientsToCheck.length,
+      skippedByLedger: found.skippedByLedger.size,
+      needingFunds: unfundedRecipients.length,
+      successful: results.success,
+      failed: results.failed,
+      skipped: results.skipped,
+      stoppedReason: results.stoppedReason || null
+    })
     console.log('')
-    console.log('📊 WALLET SUMMARY:')
-    console.log(`   👥 Donors loaded: ${donors.length}`)
-    console.log(`   📨 Recipients loaded: ${recipients.length}`)
-    console.log(`   🔑 Donors with private keys: ${donors.filter(d => d.privateKey).length}`)
+  }
+  
+  const donorBalancesAfter = await getDonorBalances(report, checker, donors)
+  const total = key => groupSummaries.reduce((sum, summary) => sum + summary[key], 0)
+  const stoppedReason = (groupSummaries.find(summary => summary.stoppedReason) || {}).stoppedReason || null
+  
+  // Final summary
+  console.log('🎯 FINAL SUMMARY')
+  console.log('=' .repeat(60))
+  console.log(`📊 Total recipients checked: ${total('checked')}`)
+  console.log(`📒 Skipped (funded per ledger): ${total('skippedByLedger')}`)
+  console.log(`❌ Recipients needing funds: ${total('needingFunds')}`)
+  console.log(`✅ Funding operations successful: ${total('successful')}`)
+  console.log(`❌ Funding operations failed: ${total('failed')}`)
+  console.log(`⏭️  Operations skipped: ${total('skipped')}`)
+  if (stoppedReason) {
+    console.log(`🛑 Stopped early: ${stoppedReason}`)
+  }
+  printGroupSummaries(groupSummaries)
+  
+  printDryRunNote(config)
+  if (!config.dryRun && total('successful') > 0) {
     console.log('')
-    
-    if (donors.length === 0) {
-      throw new Error('No donor wallets found')
+    console.log('🎉 Real funding operations completed successfully!')
+  }
+  
+  const summary = {
+    recipients: recipients.length,
+    checked: total('checked'),
+    skippedByLedger: total('skippedByLedger'),
+    needingFunds: total('needingFunds'),
+    successful: total('successful'),
+    failed: total('failed'),
+    skipped: total('skipped'),
+    stoppedReason
+  }
+  if (config.policyFile) {
+    summary.unassigned = recipients.length - total('recipients')
+    summary.groups = groupSummaries
+  }
+  await notifier.notify('run_complete', { runId: run.runId, command: 'fund', summary })
+  
+  if (report) {
+    report.runId = run.runId
+    report.summary = summary
+    report.addRecipients(recipients, checkResults, skippedByLedger)
+    report.addTransfers(transfers)
+    report.setDonorBalances(donors, donorBalancesBefore, donorBalancesAfter)
+    console.log('')
+    report.write()
+  }
+  
+  console.log('')
+  console.log('✅ Wallet funding check complete!')
+}
+
+/**
+ * List the recipients that need funds, without sending anything
+ */
+async function runCheck(options) {
+  const config = setupConfig(options)
+  const report = config.reportFile ? new RunReport(config, 'check') : null
+  const { donors, recipients } = await loadWallets(config)
+  const groups = getGroupRuns(config, donors, recipients)
+  const services = createServices(config)
+  const groupShared = { rateLimiter: services.rateLimiter, connection: services.connection, notifier: services.notifier, ledger: services.ledger, history: services.checker.history }
+  
+  console.log('📒 FUNDING LEDGER')
+  console.log('=' .repeat(60))
+  
+  const checkResults = new Map()
+  const skippedByLedger = new Set()
+  const needingFunds = []
+  const groupSummaries = []
+  
+  for (const group of groups) {
+    printGroupHeader(group)
+    const groupServices = group.name ? createServices(group.config, null, groupShared) : services
+    const found = await findRecipientsToFund(group.config, groupServices, group.donors, group.recipients)
+    groupServices.checker.results.forEach((result, address) => checkResults.set(address, result))
+    found.skippedByLedger.forEach(address => skippedByLedger.add(address))
+    needingFunds.push(...found.unfundedRecipients.map(recipient => ({ recipient, group })))
+    groupSummaries.push({
+      group: group.name,
+      recipients: group.recipients.length,
+      checked: found.recipientsToCheck.length,
+      skippedByLedger: found.skippedByLedger.size,
+      needingFunds: found.unfundedRecipients.length
+    })
+  }
+  const total = key => groupSummaries.reduce((sum, summary) => sum + summary[key], 0)
+  
+  console.log('📋 RECIPIENTS NEEDING FUNDS')
+  console.log('=' .repeat(60))
+  
+  for (const { recipient, group } of needingFunds) {
+    const amount = recipient.topUpAmount || group.config.getFundingAmount(recipient)
+    const label = recipient.label ? ` (${recipient.label})` : ''
+    const groupName = group.name ? ` [${group.name}]` : ''
+    console.log(`   ${recipient.address}${label}${groupName} - ${amount} ${config.getAmountUnit()}`)
+  }
+  
+  console.log('')
+  console.log(`📊 Total recipients checked: ${total('checked')}`)
+  console.log(`❌ Recipients needing funds: ${total('needingFunds')}`)
+  printGroupSummaries(groupSummaries)
+  
+  if (report) {
+    report.summary = {
+      recipients: recipients.length,
+      checked: total('checked'),
+      skippedByLedger: total('skippedByLedger'),
+      needingFunds: total('needingFunds')
     }
-    
-    if (recipients.length === 0) {
-      throw new Error('No recipient wallets found')
+    if (config.policyFile) {
+      report.summary.unassigned = recipients.length - total('recipients')
+      report.summary.groups = groupSummaries
     }
-    
-    // Check transaction history
-    console.log('🔍 TRANSACTION ANALYSIS')
-    console.log('=' .repeat(60))
-    
-    const checker = new TransactionChecker(config)
-    const unfundedRecipients = await checker.findUnfundedRecipients(donors, recipients)
-    
-    // Fund unfunded wallets
-    console.log('💸 WALLET FUNDING')
-    console.log('=' .repeat(60))
-    
-    const funder = new WalletFunder(config)
-    const results = await funder.fundWallets(unfundedRecipients, donors)
-    
-    // Final summary
+    report.addRecipients(recipients, checkResults, skippedByLedger)
     console.log('')
-    console.log('🎯 FINAL SUMMARY')
+    report.write()
+  }
+  
+  console.log('')
+  console.log('✅ Check complete! No transactions were sent.')
+}
+
+/**
+ * Check the donor and recipient files without touching the RPC, listing
+ * every rejected row; fails when any row was rejected
+ */
+async function runValidate(options) {
+  const config = setupConfig(options)
+  const validation = new ValidationReport()
+  // Not strict, so every problem in both files is listed before failing
+  const { donors, recipients } = await loadWallets(config, { validation, strict: false })
+  getGroupRuns(config, donors, recipients)
+  
+  console.log('🧹 VALIDATION')
+  console.log('=' .repeat(60))
+  for (const file of validation.files) {
+    console.log(`   📄 ${file.file}: ${file.rows} rows, ${file.loaded} loaded, ${file.rejected} rejected`)
+  }
+  for (const issue of validation.rejected) {
+    console.log(`   ❌ ${issue.file} ${ValidationReport.describe(issue)}`)
+  }
+  for (const issue of validation.warnings) {
+    console.log(`   ⚠️  ${issue.file} ${ValidationReport.describe(issue)}`)
+  }
+  console.log('')
+  
+  if (validation.hasErrors()) {
+    throw new Error(`Validation failed: ${validation.rejected.length} rows rejected`)
+  }
+  console.log(`✅ Wallet files are valid${validation.warnings.length > 0 ? ` (${validation.warnings.length} warnings)` : ''}`)
+}
+
+/**
+ * Show the SOL (or FUNDING_MINT token) balance of every donor and recipient
+ */
+async function runBalances(options) {
+  const config = setupConfig(options)
+  const { donors, recipients } = await loadWallets(config)
+  const report = config.reportFile ? new RunReport(config, 'balances') : null
+  const { checker } = createServices(config)
+  const unit = config.getAmountUnit()
+  
+  const balances = await checker.getFundingBalances([...donors, ...recipients].map(w => w.address))
+  
+  const printGroup = (title, wallets) => {
+    console.log(title)
     console.log('=' .repeat(60))
-    console.log(`📊 Total recipients checked: ${recipients.length}`)
-    console.log(`❌ Unfunded recipients found: ${unfundedRecipients.length}`)
-    console.log(`✅ Funding operations successful: ${results.success}`)
-    console.log(`❌ Funding operations failed: ${results.failed}`)
-    console.log(`⏭️  Operations skipped: ${results.skipped}`)
-    
-    if (config.dryRun) {
-      console.log('')
-      console.log('🛡️  DRY RUN MODE: No real transactions were sent')
-      console.log('💡 Use --execute flag to perform real funding operations')
-    } else if (results.success > 0) {
-      console.log('')
-      console.log('🎉 Real funding operations completed successfully!')
+    let total = 0
+    for (const wallet of wallets) {
+      const balance = balances.get(wallet.address) || 0
+      total += balance
+      const label = wallet.label ? ` (${wallet.label})` : ''
+      console.log(`   ${wallet.address}${label}: ${balance.toFixed(6)} ${unit}`)
     }
-    
+    console.log(`   💰 Total: ${total.toFixed(6)} ${unit}`)
     console.log('')
-    console.log('✅ Wallet funding check complete!')
-    
-  } catch (error) {
-    console.error('')
-    console.error('❌ ERROR:', error.message)
-    console.error('')
-    
-    if (error.message.includes('file not found') || error.message.includes('File not found')) {
-      console.error('💡 SOLUTION:')
-      console.error('   1. Check that the file paths are correct')
-      console.error('   2. Use --create-examples to generate sample files')
-      console.error('   3. Use -d and -r options to specify custom file paths')
-    } else if (error.message.includes('connection') || error.message.includes('RPC')) {
-      console.error('💡 SOLUTION:')
-      console.error('   1. Check your internet connection')
-      console.error('   2. Verify SOLANA_RPC_URL in .env file')
-      console.error('   3. Consider using a Helius API key for better reliability')
+  }
+  
+  printGroup('👥 DONOR BALANCES', donors)
+  printGroup('📨 RECIPIENT BALANCES', recipients)
+  
+  if (report) {
+    for (const recipient of recipients) {
+      report.addRecipient({ address: recipient.address, label: recipient.label, status: 'balance', balance: balances.get(recipient.address) || 0 })
     }
-    
-    process.exit(1)
+    report.setDonorBalances(donors, balances, new Map())
+    report.write()
+  }
+}
+
+/**
+ * Work out who would be funded by whom and write it to a plan file for review
+ * Only donor addresses and balances are needed: the keys stay with execute
+ */
+async function runPlan(options) {
+  const config = setupConfig(options)
+  assertNoPolicy(config, 'plan')
+  const report = config.reportFile ? new RunReport(config, 'plan') : null
+  const { donors, recipients } = await loadWallets(config)
+  const services = createServices(config)
+  const { checker, funder } = services
+  
+  const run = await openLedger(config, funder)
+  const { unfundedRecipients, skippedByLedger } = await findRecipientsToFund(config, services, donors, recipients)
+  
+  console.log('📝 FUNDING PLAN')
+  console.log('=' .repeat(60))
+  
+  if (unfundedRecipients.length === 0) {
+    console.log('🎉 All recipients are already funded! No plan written.')
+    return
+  }
+  
+  const { transfers, stoppedReason } = await funder.planFunding(unfundedRecipients, donors, { requireKeys: false })
+  
+  if (transfers.length === 0) {
+    throw new Error(stoppedReason ? `No transfers could be planned: ${stoppedReason}` : 'No transfers could be planned')
+  }
+  
+  const plan = new FundingPlan({
+    fundingMint: config.fundingMint,
+    transfers: transfers.map(t => ({
+      donor: t.donor.address,
+      recipient: t.recipient.address,
+      label: t.recipient.label || null,
+      amount: t.amount
+    }))
+  })
+  plan.save(options.out)
+  
+  for (const transfer of plan.transfers) {
+    console.log(`   ${transfer.donor.slice(0, 8)}... → ${transfer.recipient}: ${transfer.amount} ${config.getAmountUnit()}`)
+  }
+  
+  console.log('')
+  console.log(`✅ Plan with ${plan.transfers.length} transfers (${plan.getTotal()} ${config.getAmountUnit()}) written to ${options.out}`)
+  console.log(`💡 Review it, then run: node index.js execute ${options.out} --execute`)
+  
+  if (report) {
+    report.runId = run.runId
+    report.summary = {
+      recipients: recipients.length,
+      skippedByLedger: skippedByLedger.size,
+      needingFunds: unfundedRecipients.length,
+      planned: plan.transfers.length,
+      total: plan.getTotal(),
+      planFile: options.out,
+      stoppedReason: stoppedReason || null
+    }
+    report.addRecipients(recipients, checker.results, skippedByLedger)
+    report.addTransfers(plan.transfers.map(t => ({ ...t, amountSol: t.amount, status: 'planned' })))
+    console.log('')
+    report.write()
+  }
+}
+
+/**
+ * Send exactly the transfers of a reviewed plan file
+ */
+async function runExecute(planFile, options) {
+  const plan = FundingPlan.load(planFile)
+  const config = setupConfig(options)
+  const report = config.reportFile ? new RunReport(config, 'execute') : null
+  
+  if ((plan.fundingMint || null) !== (config.fundingMint || null)) {
+    throw new Error(`Plan was made for ${plan.fundingMint || 'SOL'} but FUNDING_MINT is ${config.fundingMint || 'SOL'}`)
+  }
+  
+  const notifier = new Notifier(config)
+  await notifyOnFailure(notifier, 'execute', () => withLock(config, 'execute', () => executePlanFile(config, plan, planFile, report, notifier)))
+}
+
+async function executePlanFile(config, plan, planFile, report, notifier) {
+  console.log('📄 LOADING WALLET FILES')
+  console.log('=' .repeat(60))
+  const donors = await loadDonors(config)
+  console.log('')
+  
+  const { ledger, checker, funder } = createServices(config, await openKeystore(config, donors), { notifier })
+  const run = await openLedger(config, funder)
+  
+  // Don't fund anyone who was funded (or has a transfer in flight) since the plan was made
+  const lastFundedTimes = ledger.getLastFundedTimes(config.fundingMint)
+  const inFlight = ledger.getInFlightRecipients()
+  const transfers = plan.transfers.filter(t => {
+    const lastFunded = lastFundedTimes.get(t.recipient)
+    return !inFlight.has(t.recipient) && !(lastFunded && lastFunded > plan.createdAt)
+  })
+  console.log(`   📒 Funded since the plan was created (skipped): ${plan.transfers.length - transfers.length}`)
+  console.log('')
+  
+  console.log('💸 WALLET FUNDING')
+  console.log('=' .repeat(60))
+  
+  const donorBalancesBefore = await getDonorBalances(report, checker, donors)
+  const results = transfers.length > 0
+    ? await funder.executePlan(transfers, donors)
+    : { success: 0, failed: 0, skipped: 0, transfers: [] }
+  const donorBalancesAfter = await getDonorBalances(report, checker, donors)
+  
+  console.log('')
+  console.log('🎯 FINAL SUMMARY')
+  console.log('=' .repeat(60))
+  console.log(`📋 Planned transfers: ${plan.transfers.length}`)
+  console.log(`📒 Skipped (funded per ledger): ${plan.transfers.length - transfers.length}`)
+  console.log(`✅ Funding operations successful: ${results.success}`)
+  console.log(`❌ Funding operations failed: ${results.failed}`)
+  console.log(`⏭️  Operations skipped: ${results.skipped}`)
+  if (results.stoppedReason) {
+    console.log(`🛑 Stopped early: ${results.stoppedReason}`)
+  }
+  
+  printDryRunNote(config)
+  
+  const summary = {
+    planFile,
+    planned: plan.transfers.length,
+    skippedByLedger: plan.transfers.length - transfers.length,
+    successful: results.success,
+    failed: results.failed,
+    skipped: results.skipped,
+    stoppedReason: results.stoppedReason || null
   }
+  await notifier.notify('run_complete', { runId: run.runId, command: 'execute', summary })
+  
+  if (report) {
+    report.runId = run.runId
+    report.summary = summary
+    report.addTransfers(results.transfers)
+    report.setDonorBalances(donors, donorBalancesBefore, donorBalancesAfter)
+    console.log('')
+    report.write()
+  }
+  
+  console.log('')
+  console.log('✅ Plan execution complete!')
+}
+
+/**
+ * Encrypt the private keys from a donor file (CSV/JSON) or a Solana CLI
+ * keypair file into the keystore
+ */
+async function runKeystoreImport(file, options) {
+  const config = new Config()
+  config.override(options)
+  
+  if (!fs.existsSync(file)) {
+    throw new Error(`File not found: ${file}`)
+  }
+  
+  const wallets = (await FileParser.parseWalletFile(file, 'donor', getParseOptions(config, { strict: false })))
+    .filter(w => w.privateKey && !w.privateKey.startsWith('keystore:'))
+  
+  if (wallets.length === 0) {
+    throw new Error(`No private keys found in ${file}`)
+  }
+  
+  const keystore = new Keystore(config.keystoreFile)
+  const creating = !keystore.exists()
+  const passphrase = await Keystore.getPassphrase(creating ? 'New keystore passphrase: ' : 'Keystore passphrase: ')
+  if (creating && !process.env.KEYSTORE_PASSPHRASE && passphrase !== await Keystore.getPassphrase('Repeat passphrase: ')) {
+    throw new Error('Passphrases do not match')
+  }
+  await keystore.unlock(passphrase)
+  
+  for (const wallet of wallets) {
+    const keypair = FileParser.parseKeypair(wallet.privateKey)
+    if (keypair.publicKey.toBase58() !== wallet.address) {
+      throw new Error(`Private key does not match address ${wallet.address}`)
+    }
+    keystore.add(keypair.secretKey, wallet.label || null)
+    console.log(`   🔐 ${wallet.address}${wallet.label ? ` (${wallet.label})` : ''}`)
+  }
+  
+  keystore.save()
+  console.log(`✅ ${creating ? 'Created' : 'Updated'} ${config.keystoreFile} with ${wallets.length} keys (${keystore.list().length} total)`)
+  console.log(`💡 Remove the private keys from ${file} - donors only need their address now`)
+}
+
+/**
+ * Print a donor's private key from the keystore (base58, or a JSON array with --json)
+ */
+async function runKeystoreExport(address, options) {
+  const config = new Config()
+  config.override(options)
+  
+  const keystore = new Keystore(config.keystoreFile)
+  if (!keystore.exists()) {
+    throw new Error(`Keystore file not found: ${config.keystoreFile}`)
+  }
+  
+  await keystore.unlock(await Keystore.getPassphrase())
+  const keypair = keystore.getKeypair(address)
+  
+  console.error('⚠️  Printing a plaintext private key - keep it off shared terminals and logs')
+  process.stdout.write((options.json ? JSON.stringify(Array.from(keypair.secretKey)) : bs58.encode(keypair.secretKey)) + '\n')
+}
+
+/**
+ * List the addresses in the keystore (no passphrase needed)
+ */
+async function runKeystoreList(options) {
+  const config = new Config()
+  config.override(options)
+  
+  const keystore = new Keystore(config.keystoreFile)
+  if (!keystore.exists()) {
+    throw new Error(`Keystore file not found: ${config.keystoreFile}`)
+  }
+  
+  const entries = keystore.list()
+  console.log(`🔐 ${config.keystoreFile}: ${entries.length} keys`)
+  for (const entry of entries) {
+    console.log(`   ${entry.address}${entry.label ? ` (${entry.label})` : ''} - added ${entry.addedAt}`)
+  }
+}
+
+/**
+ * Re-run the check-and-fund cycle on an interval or cron schedule until
+ * SIGINT/SIGTERM, keeping one connection and rate limiter across cycles
+ */
+async function runWatch(options) {
+  const config = setupConfig(options)
+  assertFilesRereadable(config, 'watch')
+  const rateLimiter = new RateLimiter(config)
+  const notifier = new Notifier(config)
+  const shared = { rateLimiter, notifier, connection: createConnection(config, rateLimiter), failOnCheckErrors: true }
+  const watcher = new Watcher(config, () => notifyOnFailure(notifier, 'watch', () => fundCycle(config, shared)))
+  
+  // The first signal lets a cycle in progress finish its transfers; a second one exits at once
+  const onSignal = signal => {
+    if (watcher.stopping) {
+      console.error(`🛑 ${signal} received again - exiting now (the ledger resumes unfinished transfers next run)`)
+      watcher.lock.release()
+      process.exit(130)
+    }
+    console.log('')
+    console.log(`🛑 ${signal} received - ${watcher.running ? 'stopping after the current cycle (send it again to exit now)' : 'stopping'}`)
+    watcher.stop()
+  }
+  process.on('SIGINT', onSignal)
+  process.on('SIGTERM', onSignal)
+  
+  try {
+    await watcher.start()
+  } finally {
+    process.off('SIGINT', onSignal)
+    process.off('SIGTERM', onSignal)
+  }
+}
+
+/**
+ * Follow recipients over WebSocket subscriptions and fund each one as soon as
+ * its window ends without a qualifying transfer, until SIGINT/SIGTERM
+ */
+async function runMonitor(options) {
+  const config = setupConfig(options)
+  assertNoPolicy(config, 'monitor')
+  if (config.fundingMode !== 'history') {
+    throw new Error('monitor only supports FUNDING_MODE=history (use watch for top-ups)')
+  }
+  
+  const { donors, recipients } = await loadWallets(config)
+  const services = createServices(config, await openKeystore(config, donors))
+  const { ledger, checker, funder, notifier } = services
+  
+  // Each batch of due recipients is funded as its own ledger run, under the lock
+  const fundDue = due => notifyOnFailure(notifier, 'monitor', () => withLock(config, 'monitor', async () => {
+    const run = await openLedger(config, funder)
+    const results = await funder.fundWallets(due, donors)
+    const summary = { successful: results.success, failed: results.failed, skipped: results.skipped, stoppedReason: results.stoppedReason || null }
+    await notifier.notify('run_complete', { runId: run.runId, command: 'monitor', summary })
+    return results
+  }))
+  const monitor = new RecipientMonitor(config, { connection: checker.connection, checker, ledger }, fundDue)
+  
+  console.log('📡 MONITOR MODE (Ctrl+C to stop)')
+  console.log('=' .repeat(60))
+  
+  let stopRequested
+  const stopped = new Promise(resolve => { stopRequested = resolve })
+  const onSignal = signal => {
+    if (monitor.stopped) {
+      console.error(`🛑 ${signal} received again - exiting now (the ledger resumes unfinished transfers next run)`)
+      process.exit(130)
+    }
+    console.log('')
+    console.log(`🛑 ${signal} received - ${monitor.funding ? 'stopping after the transfers in progress (send it again to exit now)' : 'stopping'}`)
+    stopRequested()
+  }
+  process.on('SIGINT', onSignal)
+  process.on('SIGTERM', onSignal)
+  
+  try {
+    await monitor.start(recipients, donors)
+    await stopped
+  } finally {
+    await monitor.stop()
+    process.off('SIGINT', onSignal)
+    process.off('SIGTERM', onSignal)
+  }
+  
+  console.log('👋 Monitor stopped')
+}
+
+/**
+ * Commands that don't split the run by policy group refuse a POLICY_FILE,
+ * rather than funding every group with the same donors and settings
+ */
+function assertNoPolicy(config, command) {
+  if (config.policyFile) {
+    throw new Error(`${command} doesn't support POLICY_FILE yet; use fund, check or watch, or unset POLICY_FILE`)
+  }
+}
+
+/**
+ * Commands that load the wallet files more than once can't take them from stdin
+ */
+function assertFilesRereadable(config, command) {
+  if (config.donorsFile === '-' || config.recipientsFile === '-') {
+    throw new Error(`${command} reloads the wallet files every cycle, so they can't come from stdin (-)`)
+  }
+}
+
+/**
+ * Run a command with the shared error reporting
+ */
+function withErrorHandling(handler) {
+  return async (...args) => {
+    try {
+      await handler(...args)
+      console.log = consoleLog
+    } catch (error) {
+      console.log = consoleLog
+      console.error('')
+      console.error('❌ ERROR:', error.message)
+      console.error('')
+      
+      if (error.message.includes('file not found') || error.message.includes('File not found')) {
+        console.error('💡 SOLUTION:')
+        console.error('   1. Check that the file paths are correct')
+        console.error('   2. Use --create-examples to generate sample files')
+        console.error('   3. Use -d and -r options to specify custom file paths')
+      } else if (error.message.includes('connection') || error.message.includes('RPC')) {
+        console.error('💡 SOLUTION:')
+        console.error('   1. Check your internet connection')
+        console.error('   2. Verify CLUSTER and RPC_URLS in .env file')
+        console.error('   3. Add backup endpoints to RPC_URLS, or use a Helius API key for better reliability')
+      }
+      
+      process.exit(1)
+    }
+  }
+}
+
+/**
+ * Build the CLI; main() creates a fresh one per call so options never carry over
+ */
+function createProgram() {
+  const program = new Command()
+
+  program
+    .name('wallet-funding-cli')
+    .description('CLI tool to check and fund wallets based on transaction history')
+    .version('1.0.0')
+
+  program
+    .option('-a, --amount <number>', '[HACKERMAN MODE] Override minimum SOL amount from .env', parseFloat)
+    .option('-h, --hours <number>', '[HACKERMAN MODE] Override hours lookback from .env', parseInt)
+    .option('-f, --funding <number>', '[HACKERMAN MODE] Override funding amount from .env', parseFloat)
+    .option('--mint <address>', '[HACKERMAN MODE] Fund with this SPL token mint instead of SOL')
+    .option('--cluster <name>', '[HACKERMAN MODE] Override cluster from .env (mainnet, devnet, testnet, localnet, custom)')
+    .option('--rpc <urls>', '[HACKERMAN MODE] Override RPC endpoints from .env (comma-separated, in failover order)')
+    .option('-d, --donors <path>', '[HACKERMAN MODE] Override donors file path from .env (- for stdin)')
+    .option('-r, --recipients <path>', '[HACKERMAN MODE] Override recipients file path from .env (- for stdin)')
+    .option('--address-column <name>', 'Column holding the wallet address, for headers the parser does not recognise')
+    .option('--key-column <name>', 'Column holding the private key, for headers the parser does not recognise')
+    .option('--policy <path>', 'Funding policy file (JSON or YAML) with donors and settings per recipient group')
+    .option('--strict', 'Abort when a donor or recipient row is invalid or duplicated instead of skipping it')
+    .option('--validation-report <path>', 'Write the rejected rows (with line numbers) to a JSON file')
+    .option('-s, --sum-transfers', 'Add up all donor transfers in the window when checking the minimum amount')
+    .option('-m, --mode <mode>', '[HACKERMAN MODE] Override funding mode from .env (history, topup, both)')
+    .option('-t, --target <number>', '[HACKERMAN MODE] Override top-up target balance from .env', parseFloat)
+    .option('-c, --concurrency <number>', '[HACKERMAN MODE] Override how many recipients are checked at once', parseInt)
+    .option('-l, --ledger <path>', '[HACKERMAN MODE] Override funding ledger file path from .env')
+    .option('-k, --keystore <path>', '[HACKERMAN MODE] Override encrypted keystore file path from .env')
+    .option('-p, --priority-fee <microLamports>', '[HACKERMAN MODE] Use a fixed priority fee (micro-lamports per compute unit)', parseInt)
+    .option('--strategy <name>', '[HACKERMAN MODE] Override donor selection strategy from .env (round-robin, largest-first, balanced, mapped)')
+    .option('--batch', 'Pack transfers from the same donor into as few transactions as possible')
+    .option('--execute', '[DANGER] Execute real transactions (override DRY_RUN=true from .env)')
+    .option('--report <path>', 'Write a machine-readable report of the run (- for stdout)')
+    .option('--format <format>', 'Report format: json, csv or ndjson')
+    .option('-q, --quiet', 'Only print errors (and the report, with --report -)')
+    .option('--create-examples', 'Create example files and exit')
+
+  // Subcommands take the global options too (e.g. `node index.js check --hours 48`)
+  program
+    .command('fund', { isDefault: true })
+    .description('Check every recipient and fund the ones that need it (default)')
+    .action((options, command) => withErrorHandling(runFund)(command.optsWithGlobals()))
+
+  program
+    .command('watch')
+    .description('Keep running the check-and-fund cycle on a schedule (WATCH_INTERVAL_MINUTES or WATCH_CRON)')
+    .option('-i, --interval <minutes>', 'Minutes between cycles', parseFloat)
+    .option('--cron <expression>', 'Cron expression to run cycles on instead (e.g. "*/30 * * * *")')
+    .action((options, command) => withErrorHandling(runWatch)(command.optsWithGlobals()))
+
+  program
+    .command('monitor')
+    .description('Follow recipients over WebSocket and fund each one when its window ends unfunded (history mode)')
+    .action((options, command) => withErrorHandling(runMonitor)(command.optsWithGlobals()))
+
+  program
+    .command('check')
+    .description('List the recipients that need funds, without sending anything')
+    .action((options, command) => withErrorHandling(runCheck)(command.optsWithGlobals()))
+
+  program
+    .command('validate')
+    .description('Check the donor and recipient files and list every rejected row (no RPC requests)')
+    .action((options, command) => withErrorHandling(runValidate)(command.optsWithGlobals()))
+
+  program
+    .command('balances')
+    .description('Show donor and recipient balances')
+    .action((options, command) => withErrorHandling(runBalances)(command.optsWithGlobals()))
+
+  program
+    .command('plan')
+    .description('Write the transfers a funding run would make to a plan file for review')
+    .option('-o, --out <path>', 'Plan file to write', 'funding-plan.json')
+    .action((options, command) => withErrorHandling(runPlan)(command.optsWithGlobals()))
+
+  program
+    .command('execute <plan>')
+    .description('Send exactly the transfers in a reviewed plan file')
+    .action((planFile, options, command) => withErrorHandling(runExecute)(planFile, command.optsWithGlobals()))
+
+  const keystoreCommand = program
+    .command('keystore')
+    .description('Manage the encrypted donor keystore (passphrase from KEYSTORE_PASSPHRASE or a prompt)')
+
+  keystoreCommand
+    .command('import <file>')
+    .description('Encrypt the private keys from a donor file (CSV/JSON), a Solana keypair file or a directory of them')
+    .action((file, options, command) => withErrorHandling(runKeystoreImport)(file, command.optsWithGlobals()))
+
+  keystoreCommand
+    .command('export <address>')
+    .description('Print the private key for an address')
+    .option('--json', 'Print as a JSON byte array instead of base58')
+    .action((address, options, command) => withErrorHandling(runKeystoreExport)(address, command.optsWithGlobals()))
+
+  keystoreCommand
+    .command('list')
+    .description('List the addresses in the keystore')
+    .action((options, command) => withErrorHandling(runKeystoreList)(command.optsWithGlobals()))
+  
+  return program
+}
+
+/**
+ * Run the CLI with argv; options.connection replaces the RPC connection
+ * (tests pass a mock one)
+ */
+async function main(argv = process.argv, options = {}) {
+  injectedConnection = options.connection || null
+  program = createProgram()
+  await program.parseAsync(argv)
 }
 
 // Handle unhandled promise rejections
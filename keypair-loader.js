@@ -0,0 +1,111 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Keypair } = require('@solana/web3.js')
+const bip39 = require('bip39')
+const { derivePath } = require('ed25519-hd-key')
+
+// Path used by Phantom, Solflare and `solana-keygen recover 'prompt://?key=i/0'`
+const DEFAULT_DERIVATION_PATH = "m/44'/501'/{i}'/0'"
+
+class KeypairLoader {
+  /**
+   * Whether a private key value is a path to a keypair file rather than the key itself
+   * (keys are JSON arrays or base58, which never contain '/' or '.')
+   */
+  static isKeypairPath(value) {
+    return !value.startsWith('[') && !value.startsWith('keystore:') && (value.includes('/') || value.endsWith('.json'))
+  }
+
+  static resolvePath(filePath) {
+    return path.resolve(filePath.startsWith('~/') ? path.join(os.homedir(), filePath.slice(2)) : filePath)
+  }
+
+  /**
+   * Read a `solana-keygen` keypair file (a JSON array of 64 bytes)
+   * Returns the key in the JSON array format FileParser accepts
+   */
+  static readKeypairFile(filePath) {
+    const resolved = this.resolvePath(filePath)
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Keypair file not found: ${filePath}`)
+    }
+
+    let bytes
+    try {
+      bytes = JSON.parse(fs.readFileSync(resolved, 'utf8'))
+    } catch (error) {
+      throw new Error(`Invalid keypair file ${filePath}: ${error.message}`)
+    }
+
+    if (!Array.isArray(bytes) || bytes.length !== 64) {
+      throw new Error(`Invalid keypair file ${filePath}: expected a JSON array of 64 numbers`)
+    }
+
+    // Validates the key, and checks the public half matches the secret half
+    Keypair.fromSecretKey(new Uint8Array(bytes))
+    return JSON.stringify(bytes)
+  }
+
+  /**
+   * A keypair file as a donor wallet, labelled with its file name
+   */
+  static loadFile(filePath) {
+    const privateKey = this.readKeypairFile(filePath)
+    const keypair = Keypair.fromSecretKey(new Uint8Array(JSON.parse(privateKey)))
+    return { address: keypair.publicKey.toBase58(), privateKey, label: path.basename(filePath, '.json') }
+  }
+
+  /**
+   * Load every *.json keypair file in a directory as a donor wallet,
+   * labelled with its file name
+   */
+  static loadDirectory(dirPath) {
+    const files = fs.readdirSync(dirPath).filter(name => name.endsWith('.json')).sort()
+    const wallets = []
+
+    for (const name of files) {
+      try {
+        wallets.push(this.loadFile(path.join(dirPath, name)))
+      } catch (error) {
+        console.warn(`   ⚠️  Skipping ${name}: ${error.message}`)
+      }
+    }
+
+    return wallets
+  }
+
+  /**
+   * Derive `count` wallets from a BIP39 mnemonic, replacing {i} in the
+   * derivation path with each index from `startIndex`
+   */
+  static deriveFromMnemonic(mnemonic, { derivationPath = DEFAULT_DERIVATION_PATH, count = 1, startIndex = 0, passphrase = '' } = {}) {
+    const words = mnemonic.trim().split(/\s+/).join(' ')
+    if (!bip39.validateMnemonic(words)) {
+      throw new Error('DONOR_MNEMONIC is not a valid BIP39 mnemonic')
+    }
+
+    if (!derivationPath.includes('{i}') && count > 1) {
+      throw new Error('DONOR_DERIVATION_PATH needs an {i} placeholder to derive more than one donor')
+    }
+
+    const seed = bip39.mnemonicToSeedSync(words, passphrase).toString('hex')
+    const wallets = []
+
+    for (let i = startIndex; i < startIndex + count; i++) {
+      const walletPath = derivationPath.replace(/\{i\}/g, i)
+      const keypair = Keypair.fromSeed(derivePath(walletPath, seed).key)
+      wallets.push({
+        address: keypair.publicKey.toBase58(),
+        privateKey: JSON.stringify(Array.from(keypair.secretKey)),
+        label: walletPath
+      })
+    }
+
+    return wallets
+  }
+}
+
+KeypairLoader.DEFAULT_DERIVATION_PATH = DEFAULT_DERIVATION_PATH
+
+module.exports = KeypairLoader
@@ -0,0 +1,180 @@
+const fs = require('fs')
+const crypto = require('crypto')
+const readline = require('readline')
+const { Keypair } = require('@solana/web3.js')
+
+// Bump when the keystore file layout changes
+const KEYSTORE_VERSION = 1
+
+// scrypt cost for new keystores (128 MiB of memory, about a second per unlock);
+// existing keystores keep the parameters they were created with
+const SCRYPT_PARAMS = { N: 131072, r: 8, p: 1 }
+const KEY_LENGTH = 32
+
+class Keystore {
+  constructor(filePath) {
+    this.filePath = filePath
+    this.data = this.load()
+    this.key = null
+  }
+
+  /**
+   * Read the keystore file, or start an empty one with fresh scrypt parameters
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return {
+        version: KEYSTORE_VERSION,
+        kdf: { name: 'scrypt', salt: crypto.randomBytes(16).toString('hex'), ...SCRYPT_PARAMS },
+        cipher: 'aes-256-gcm',
+        keys: []
+      }
+    }
+
+    let data
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+    } catch (error) {
+      throw new Error(`Invalid keystore file ${this.filePath}: ${error.message}`)
+    }
+
+    if (data.version !== KEYSTORE_VERSION || !data.kdf || data.kdf.name !== 'scrypt' || !Array.isArray(data.keys)) {
+      throw new Error(`Unsupported keystore format in ${this.filePath}`)
+    }
+
+    return data
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath)
+  }
+
+  /**
+   * Derive the encryption key from the passphrase, checking it against an
+   * existing entry so a typo can't add keys under a second passphrase
+   */
+  async unlock(passphrase) {
+    const { salt, N, r, p } = this.data.kdf
+    const key = await new Promise((resolve, reject) => {
+      crypto.scrypt(passphrase, Buffer.from(salt, 'hex'), KEY_LENGTH, { N, r, p, maxmem: 256 * N * r }, (error, derived) => {
+        error ? reject(error) : resolve(derived)
+      })
+    })
+
+    if (this.data.keys.length > 0) {
+      try {
+        this.decrypt(this.data.keys[0], key)
+      } catch (error) {
+        throw new Error('Wrong keystore passphrase')
+      }
+    }
+
+    this.key = key
+    return this
+  }
+
+  /**
+   * Addresses and labels in the keystore (no passphrase needed)
+   */
+  list() {
+    return this.data.keys.map(({ address, label, addedAt }) => ({ address, label, addedAt }))
+  }
+
+  has(address) {
+    return this.data.keys.some(entry => entry.address === address)
+  }
+
+  /**
+   * Encrypt a secret key and add it, replacing any entry for the same address
+   */
+  add(secretKey, label = null) {
+    this.requireUnlocked()
+    const keypair = Keypair.fromSecretKey(secretKey)
+    const address = keypair.publicKey.toBase58()
+
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv)
+    // The address is authenticated too, so entries can't be swapped between addresses
+    cipher.setAAD(Buffer.from(address))
+    const ciphertext = Buffer.concat([cipher.update(Buffer.from(keypair.secretKey)), cipher.final()])
+
+    const entry = {
+      address,
+      label,
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex'),
+      addedAt: new Date().toISOString()
+    }
+
+    this.data.keys = this.data.keys.filter(e => e.address !== address)
+    this.data.keys.push(entry)
+    return address
+  }
+
+  /**
+   * Decrypt the keypair for an address
+   */
+  getKeypair(address) {
+    this.requireUnlocked()
+    const entry = this.data.keys.find(e => e.address === address)
+    if (!entry) {
+      throw new Error(`No keystore entry for ${address}`)
+    }
+    return Keypair.fromSecretKey(this.decrypt(entry, this.key))
+  }
+
+  decrypt(entry, key) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(entry.iv, 'hex'))
+    decipher.setAAD(Buffer.from(entry.address))
+    decipher.setAuthTag(Buffer.from(entry.tag, 'hex'))
+    return new Uint8Array(Buffer.concat([decipher.update(Buffer.from(entry.ciphertext, 'hex')), decipher.final()]))
+  }
+
+  /**
+   * Write the keystore, readable by the owner only
+   */
+  save() {
+    fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2) + '\n', { mode: 0o600 })
+  }
+
+  requireUnlocked() {
+    if (!this.key) {
+      throw new Error('Keystore is locked')
+    }
+  }
+
+  /**
+   * Passphrase from KEYSTORE_PASSPHRASE, or a hidden prompt on the terminal
+   */
+  static async getPassphrase(prompt = 'Keystore passphrase: ') {
+    if (process.env.KEYSTORE_PASSPHRASE) {
+      return process.env.KEYSTORE_PASSPHRASE
+    }
+
+    if (!process.stdin.isTTY) {
+      throw new Error('Keystore passphrase needed: set KEYSTORE_PASSPHRASE or run from a terminal')
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true })
+    // Echo the prompt but not what is typed
+    let muted = false
+    rl._writeToOutput = (text) => {
+      if (!muted) rl.output.write(text)
+    }
+
+    const passphrase = await new Promise(resolve => {
+      rl.question(prompt, answer => resolve(answer))
+      muted = true
+    })
+    rl.close()
+    process.stderr.write('\n')
+
+    if (!passphrase) {
+      throw new Error('Keystore passphrase must not be empty')
+    }
+    return passphrase
+  }
+}
+
+module.exports = Keystore
@@ -0,0 +1,166 @@
+const fs = require('fs')
+const crypto = require('crypto')
+
+// Transfer lifecycle: planned -> sent -> confirmed | failed
+const FINAL_STATUSES = ['confirmed', 'failed']
+
+class Ledger {
+  constructor(filePath) {
+    this.filePath = filePath
+    this.entries = this.load()
+    this.runId = null
+  }
+
+  /**
+   * Load all ledger entries from the JSON-lines file
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return []
+    }
+
+    const entries = []
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n')
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim()
+      if (!line) continue
+
+      try {
+        entries.push(JSON.parse(line))
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line
+        console.warn(`   ⚠️  Ignoring corrupt ledger line ${i + 1} in ${this.filePath}`)
+      }
+    }
+
+    return entries
+  }
+
+  /**
+   * Start a new run, or resume the most recent run if it was interrupted
+   * Returns the transfers of the resumed run that never reached a final status
+   */
+  startRun() {
+    const lastRunId = this.entries.length > 0 ? this.entries[this.entries.length - 1].runId : null
+    const pending = lastRunId ? this.getPendingTransfers(lastRunId) : []
+
+    if (pending.length > 0) {
+      this.runId = lastRunId
+      return { runId: this.runId, resumed: true, pending }
+    }
+
+    this.runId = `${new Date().toISOString().replace(/[-:.]/g, '').slice(0, 15)}-${crypto.randomBytes(3).toString('hex')}`
+    return { runId: this.runId, resumed: false, pending: [] }
+  }
+
+  /**
+   * Append a transfer status update to the ledger
+   */
+  record(status, { donor, recipient, amountSol, mint = null, signature = null, lastValidBlockHeight = null, error = null }) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      runId: this.runId,
+      status,
+      donor,
+      recipient,
+      amountSol, // In tokens when mint is set
+      mint,
+      signature,
+      lastValidBlockHeight,
+      error
+    }
+
+    // appendFileSync so every update is on disk before we move on
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n')
+    this.entries.push(entry)
+    return entry
+  }
+
+  /**
+   * Latest entry per recipient for a run, for transfers not yet confirmed or failed
+   */
+  getPendingTransfers(runId) {
+    const latest = new Map()
+
+    for (const entry of this.entries) {
+      if (entry.runId === runId) {
+        latest.set(entry.recipient, entry)
+      }
+    }
+
+    return [...latest.values()].filter(entry => !FINAL_STATUSES.includes(entry.status))
+  }
+
+  /**
+   * Time of the latest sent or confirmed transfer of SOL (or the given mint) to each recipient
+   * Sent-but-unconfirmed transfers count, since they may still land
+   */
+  getLastFundedTimes(mint = null) {
+    const latest = new Map()
+
+    for (const entry of this.entries) {
+      if (entry.status === 'planned' || (entry.mint || null) !== mint) continue
+
+      const key = `${entry.runId}:${entry.recipient}`
+      latest.set(key, entry)
+    }
+
+    const fundedAt = new Map()
+    for (const entry of latest.values()) {
+      if (entry.status !== 'sent' && entry.status !== 'confirmed') continue
+
+      const timestamp = new Date(entry.timestamp)
+      const previous = fundedAt.get(entry.recipient)
+      if (!previous || timestamp > previous) {
+        fundedAt.set(entry.recipient, timestamp)
+      }
+    }
+
+    return fundedAt
+  }
+
+  /**
+   * Total amount of SOL (or the given mint) in transfers sent or confirmed since a time
+   * Sent-but-unconfirmed transfers count, since they may still land
+   */
+  getSpentSince(since, mint = null) {
+    const latest = new Map()
+
+    for (const entry of this.entries) {
+      if ((entry.mint || null) !== mint) continue
+      latest.set(`${entry.runId}:${entry.recipient}`, entry)
+    }
+
+    let spent = 0
+    for (const entry of latest.values()) {
+      if ((entry.status === 'sent' || entry.status === 'confirmed') && new Date(entry.timestamp) >= since) {
+        spent += entry.amountSol
+      }
+    }
+
+    return spent
+  }
+
+  /**
+   * Recipients whose latest transfer was broadcast but is not yet confirmed or failed
+   */
+  getInFlightRecipients() {
+    const latest = new Map()
+
+    for (const entry of this.entries) {
+      latest.set(`${entry.runId}:${entry.recipient}`, entry)
+    }
+
+    const inFlight = new Set()
+    for (const entry of latest.values()) {
+      if (entry.status === 'sent') {
+        inFlight.add(entry.recipient)
+      }
+    }
+
+    return inFlight
+  }
+}
+
+module.exports = Ledger
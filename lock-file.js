@@ -0,0 +1,88 @@
+const fs = require('fs')
+
+// An unreadable lock file younger than this is still being written, not stale
+const FRESH_LOCK_MS = 5000
+
+class LockFile {
+  constructor(filePath) {
+    this.filePath = filePath
+    this.held = false
+  }
+
+  /**
+   * Take the lock, clearing it first if the process that held it is gone
+   * Returns null on success, or the holder's { pid, startedAt, command } if it is busy
+   */
+  acquire(command) {
+    const lock = { pid: process.pid, startedAt: new Date().toISOString(), command }
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        // 'wx' fails if the file exists, so only one process can create it
+        fs.writeFileSync(this.filePath, JSON.stringify(lock) + '\n', { flag: 'wx' })
+        this.held = true
+        return null
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error
+        }
+      }
+
+      const holder = this.readHolder()
+      if (holder && LockFile.isRunning(holder.pid)) {
+        return holder
+      }
+      if (!holder && this.isFresh()) {
+        // Just created by another process that hasn't written its pid yet
+        return { pid: 'unknown', startedAt: null, command: null }
+      }
+
+      console.log(`   🔓 Removing stale lock ${this.filePath}${holder ? ` (pid ${holder.pid} is not running)` : ''}`)
+      fs.rmSync(this.filePath, { force: true })
+    }
+
+    return this.readHolder() || { pid: 'unknown', startedAt: null, command: null }
+  }
+
+  release() {
+    if (!this.held) {
+      return
+    }
+    this.held = false
+
+    // Only remove the file if it is still ours
+    const holder = this.readHolder()
+    if (holder && holder.pid === process.pid) {
+      fs.rmSync(this.filePath, { force: true })
+    }
+  }
+
+  readHolder() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+    } catch (error) {
+      // Missing, or half written by a process that died
+      return null
+    }
+  }
+
+  isFresh() {
+    try {
+      return Date.now() - fs.statSync(this.filePath).mtimeMs < FRESH_LOCK_MS
+    } catch (error) {
+      return false
+    }
+  }
+
+  static isRunning(pid) {
+    try {
+      process.kill(pid, 0)
+      return true
+    } catch (error) {
+      // EPERM: the process exists but belongs to another user
+      return error.code === 'EPERM'
+    }
+  }
+}
+
+module.exports = LockFile
@@ -0,0 +1,134 @@
+const axios = require('axios')
+const { spawn } = require('child_process')
+
+// Give up on a webhook or command after this long, so a dead endpoint can't hold up a run
+const WEBHOOK_TIMEOUT_MS = 10000
+const COMMAND_TIMEOUT_MS = 30000
+
+// Transfers or donors listed in a notification message before "and N more"
+const MAX_LISTED = 5
+
+class Notifier {
+  /**
+   * Sends run outcomes to NOTIFY_WEBHOOK_URL (JSON payload), NOTIFY_SLACK_WEBHOOK_URL
+   * (Slack incoming webhook) and NOTIFY_COMMAND (payload on stdin)
+   * Events: run_complete, run_failed, transfer_failed, low_donor_balance
+   */
+  constructor(config) {
+    this.config = config
+  }
+
+  isEnabled(event) {
+    const { notifyWebhookUrl, notifySlackWebhookUrl, notifyCommand, notifyEvents } = this.config
+    return !!(notifyWebhookUrl || notifySlackWebhookUrl || notifyCommand) && notifyEvents.includes(event)
+  }
+
+  /**
+   * Deliver an event to every configured target; a failed delivery is logged,
+   * never thrown, so notifications can't break a run
+   */
+  async notify(event, data = {}) {
+    if (!this.isEnabled(event)) {
+      return
+    }
+
+    const payload = {
+      event,
+      timestamp: new Date().toISOString(),
+      runId: data.runId || null,
+      dryRun: this.config.dryRun,
+      unit: this.config.getAmountUnit(),
+      message: this.formatMessage(event, data),
+      data
+    }
+
+    const deliveries = []
+    if (this.config.notifyWebhookUrl) {
+      deliveries.push(['Webhook', () => axios.post(this.config.notifyWebhookUrl, payload, { timeout: WEBHOOK_TIMEOUT_MS })])
+    }
+    if (this.config.notifySlackWebhookUrl) {
+      deliveries.push(['Slack', () => axios.post(this.config.notifySlackWebhookUrl, { text: payload.message }, { timeout: WEBHOOK_TIMEOUT_MS })])
+    }
+    if (this.config.notifyCommand) {
+      deliveries.push(['Command', () => this.runCommand(payload)])
+    }
+
+    await Promise.all(deliveries.map(async ([name, deliver]) => {
+      try {
+        await deliver()
+        console.log(`   🔔 ${name} notified: ${event}`)
+      } catch (error) {
+        console.log(`   ⚠️  ${name} notification for ${event} failed: ${error.message}`)
+      }
+    }))
+  }
+
+  /**
+   * One-line summary for chat, also included in the webhook payload
+   */
+  formatMessage(event, data) {
+    const unit = this.config.getAmountUnit()
+    const prefix = this.config.dryRun ? '[DRY RUN] ' : ''
+    const run = data.runId ? ` ${data.runId}` : ''
+
+    switch (event) {
+      case 'run_complete': {
+        const { successful = 0, failed = 0, skipped = 0, stoppedReason = null } = data.summary || {}
+        const stopped = stoppedReason ? ` Stopped early: ${stoppedReason}` : ''
+        return `${prefix}✅ Funding run${run} (${data.command}) finished: ${successful} funded, ${failed} failed, ${skipped} skipped.${stopped}`
+      }
+      case 'run_failed':
+        return `${prefix}❌ Funding run (${data.command}) failed: ${data.error}`
+      case 'transfer_failed': {
+        const lines = data.transfers.slice(0, MAX_LISTED).map(t => `${t.recipient}${t.label ? ` (${t.label})` : ''}: ${t.amountSol} ${unit} - ${t.error}`)
+        return `${prefix}❌ ${data.transfers.length} transfers failed in run${run}:\n${Notifier.listWithMore(lines, data.transfers.length)}`
+      }
+      case 'low_donor_balance': {
+        const lines = data.donors.slice(0, MAX_LISTED).map(d => `${d.label ? `${d.label} ` : ''}${d.address}: ${d.balance.toFixed(6)} ${unit}`)
+        return `${prefix}⚠️ ${data.reason}:\n${Notifier.listWithMore(lines, data.donors.length)}`
+      }
+      default:
+        return `${prefix}${event}`
+    }
+  }
+
+  /**
+   * Run NOTIFY_COMMAND through the shell with the JSON payload on stdin and
+   * NOTIFY_EVENT / NOTIFY_MESSAGE in the environment
+   */
+  runCommand(payload) {
+    return new Promise((resolve, reject) => {
+      // The command's output goes to stderr so it can't mix with a report on stdout
+      const child = spawn(this.config.notifyCommand, {
+        shell: true,
+        stdio: ['pipe', process.stderr, process.stderr],
+        env: { ...process.env, NOTIFY_EVENT: payload.event, NOTIFY_MESSAGE: payload.message }
+      })
+
+      const timer = setTimeout(() => {
+        child.kill()
+        reject(new Error(`timed out after ${COMMAND_TIMEOUT_MS / 1000}s`))
+      }, COMMAND_TIMEOUT_MS)
+
+      child.on('error', error => {
+        clearTimeout(timer)
+        reject(error)
+      })
+      child.on('exit', code => {
+        clearTimeout(timer)
+        code === 0 ? resolve() : reject(new Error(`exited with code ${code}`))
+      })
+
+      // A command that doesn't read stdin closes it early; that's fine
+      child.stdin.on('error', () => {})
+      child.stdin.end(JSON.stringify(payload) + '\n')
+    })
+  }
+
+  static listWithMore(lines, total) {
+    const more = total > lines.length ? `\n…and ${total - lines.length} more` : ''
+    return lines.map(line => `• ${line}`).join('\n') + more
+  }
+}
+
+module.exports = Notifier
@@ -0,0 +1,109 @@
+const { ComputeBudgetProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js')
+
+// Base fee charged per signature, in lamports
+const LAMPORTS_PER_SIGNATURE = 5000
+
+// Compute units for an automatic limit: each SystemProgram.transfer uses 150 CU
+// and each ComputeBudget instruction 150 CU, plus some headroom
+const COMPUTE_UNITS_PER_TRANSFER = 200
+const COMPUTE_UNITS_BASE = 300
+
+// A token transfer plus idempotent token account creation can use ~30k CU
+// when the account is created (more for Token-2022 mints with extensions)
+const COMPUTE_UNITS_PER_TOKEN_TRANSFER = 45000
+
+// Most compute units a transaction may request
+const MAX_COMPUTE_UNITS = 1400000
+
+// Re-use an automatic fee estimate for the same accounts for this long before asking the RPC again
+const AUTO_FEE_CACHE_MS = 10000
+
+class PriorityFees {
+  constructor(config, connection) {
+    this.config = config
+    this.connection = connection
+    // Sorted writable accounts -> { microLamports, fetchedAt }
+    this.cachedFees = new Map()
+  }
+
+  /**
+   * Compute unit limit for a transaction with the given number of transfers
+   */
+  getComputeUnitLimit(transferCount = 1) {
+    if (this.config.computeUnitLimit > 0) {
+      return this.config.computeUnitLimit
+    }
+    const perTransfer = this.config.fundingMint ? COMPUTE_UNITS_PER_TOKEN_TRANSFER : COMPUTE_UNITS_PER_TRANSFER
+    return Math.min(MAX_COMPUTE_UNITS, COMPUTE_UNITS_BASE + perTransfer * transferCount)
+  }
+
+  /**
+   * Priority fee in micro-lamports per compute unit, based on PRIORITY_FEE_MODE
+   * Auto mode takes a percentile of recent fees paid by transactions that
+   * lock the same writable accounts, capped at PRIORITY_FEE_MAX_MICROLAMPORTS
+   */
+  async getMicroLamportsPerComputeUnit(writableAccounts = []) {
+    if (this.config.priorityFeeMode === 'none') {
+      return 0
+    }
+
+    if (this.config.priorityFeeMode === 'fixed') {
+      return this.config.priorityFeeMicroLamports
+    }
+
+    // Fees depend on the accounts locked, so an estimate only holds for the same set
+    const cacheKey = writableAccounts.map(account => account.toString()).sort().join(',')
+    const cached = this.cachedFees.get(cacheKey)
+    if (cached && Date.now() - cached.fetchedAt < AUTO_FEE_CACHE_MS) {
+      return cached.microLamports
+    }
+
+    try {
+      const recentFees = await this.connection.getRecentPrioritizationFees({
+        lockedWritableAccounts: writableAccounts
+      })
+      const fees = recentFees.map(f => f.prioritizationFee).sort((a, b) => a - b)
+
+      let microLamports = 0
+      if (fees.length > 0) {
+        const index = Math.min(fees.length - 1, Math.floor(fees.length * this.config.priorityFeePercentile / 100))
+        microLamports = fees[index]
+      }
+
+      microLamports = Math.min(microLamports, this.config.priorityFeeMaxMicroLamports)
+      this.cachedFees.set(cacheKey, { microLamports, fetchedAt: Date.now() })
+      return microLamports
+
+    } catch (error) {
+      // Fall back to the fixed fee rather than sending with no priority at all
+      console.log(`   ⚠️  Could not fetch recent priority fees (${error.message}), using ${this.config.priorityFeeMicroLamports} micro-lamports/CU`)
+      return this.config.priorityFeeMicroLamports
+    }
+  }
+
+  /**
+   * ComputeBudget instructions to put at the start of a transaction
+   */
+  buildInstructions(transferCount, microLamports) {
+    const instructions = [
+      ComputeBudgetProgram.setComputeUnitLimit({ units: this.getComputeUnitLimit(transferCount) })
+    ]
+
+    if (microLamports > 0) {
+      instructions.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports }))
+    }
+
+    return instructions
+  }
+
+  /**
+   * Total fee in SOL for a single-signature transaction with the given number of transfers
+   */
+  async estimateFeeSol(transferCount = 1, writableAccounts = []) {
+    const microLamports = await this.getMicroLamportsPerComputeUnit(writableAccounts)
+    const priorityLamports = Math.ceil(this.getComputeUnitLimit(transferCount) * microLamports / 1000000)
+    return (LAMPORTS_PER_SIGNATURE + priorityLamports) / LAMPORTS_PER_SOL
+  }
+}
+
+module.exports = PriorityFees
@@ -0,0 +1,92 @@
+// Connection methods that make an HTTP request and should count against the limit
+// (subscriptions like onAccountChange use the WebSocket and are left alone)
+const RPC_METHOD_PATTERN = /^(get|send|simulate|request|confirm)/
+
+// Never back off for longer than this between retries
+const MAX_BACKOFF_MS = 30000
+
+class RateLimiter {
+  constructor(config) {
+    this.requestsPerSecond = config.rpcRequestsPerSecond
+    this.burst = config.rpcBurst || config.rpcRequestsPerSecond
+    this.maxRetries = config.rpcMaxRetries
+    this.retryBaseMs = config.rpcRetryBaseMs
+
+    this.tokens = this.burst
+    this.lastRefill = Date.now()
+  }
+
+  /**
+   * Wait until a token is available in the bucket, then take it
+   */
+  async acquire() {
+    while (true) {
+      const now = Date.now()
+      this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.requestsPerSecond)
+      this.lastRefill = now
+
+      if (this.tokens >= 1) {
+        this.tokens -= 1
+        return
+      }
+
+      const waitMs = Math.ceil(((1 - this.tokens) / this.requestsPerSecond) * 1000)
+      await new Promise(resolve => setTimeout(resolve, waitMs))
+    }
+  }
+
+  /**
+   * Run an RPC call once a token is available, retrying with exponential
+   * backoff (plus jitter) when the RPC responds with 429 or a 5xx error
+   */
+  async schedule(fn) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire()
+
+      try {
+        return await fn()
+      } catch (error) {
+        if (!RateLimiter.isRetryable(error) || attempt >= this.maxRetries) {
+          throw error
+        }
+
+        const backoffMs = Math.min(MAX_BACKOFF_MS, this.retryBaseMs * Math.pow(2, attempt))
+        const delayMs = backoffMs / 2 + Math.random() * (backoffMs / 2)
+        console.log(`   ⏳ RPC busy (${RateLimiter.describeError(error)}), retrying in ${(delayMs / 1000).toFixed(1)}s...`)
+        await new Promise(resolve => setTimeout(resolve, delayMs))
+      }
+    }
+  }
+
+  /**
+   * Wrap a Connection so every RPC method goes through schedule()
+   */
+  wrapConnection(connection) {
+    return new Proxy(connection, {
+      get: (target, prop) => {
+        const value = target[prop]
+        if (typeof value !== 'function' || typeof prop !== 'string' || !RPC_METHOD_PATTERN.test(prop)) {
+          return typeof value === 'function' ? value.bind(target) : value
+        }
+        return (...args) => this.schedule(() => value.apply(target, args))
+      }
+    })
+  }
+
+  /**
+   * Whether an error is a rate limit (429) or server error (5xx) worth retrying
+   */
+  static isRetryable(error) {
+    const message = String(error && error.message)
+    return /\b429\b|too many requests/i.test(message) || /\b5\d\d\b[^\n]*(error|unavailable|timeout|gateway)/i.test(message)
+  }
+
+  static describeError(error) {
+    const match = String(error && error.message).match(/\b(429|5\d\d)\b/)
+    return match ? `HTTP ${match[1]}` : 'server error'
+  }
+}
+
+RateLimiter.RPC_METHOD_PATTERN = RPC_METHOD_PATTERN
+
+module.exports = RateLimiter
@@ -0,0 +1,344 @@
+const { PublicKey } = require('@solana/web3.js')
+
+// How often the heartbeat looks for missing slot notifications (at most)
+const HEARTBEAT_CHECK_MS = 5000
+
+// Longest wait between due checks, even when nobody is due sooner
+const MAX_DUE_WAIT_MS = 60000
+
+class RecipientMonitor {
+  /**
+   * Keeps each recipient's funded/unfunded state up to date from WebSocket
+   * log subscriptions, falling back to polling through the TransactionChecker
+   * while the socket is down
+   * fundDue(recipients) funds recipients whose window ended without a qualifying
+   * transfer and returns WalletFunder results; calls never overlap
+   */
+  constructor(config, { connection, checker, ledger = null }, fundDue) {
+    this.config = config
+    this.connection = connection
+    this.checker = checker
+    this.ledger = ledger
+    this.fundDue = fundDue
+
+    // address -> { recipient, checked, fundedUntil, ledgerUntil, retryAt } (times in ms)
+    this.states = new Map()
+    this.subscriptions = []
+    this.slotSubscription = null
+
+    // 'starting' until the first slot notification, then 'realtime' or 'polling'
+    this.mode = 'starting'
+    this.startedAt = 0
+    this.lastSlotAt = 0
+
+    this.heartbeatTimer = null
+    this.pollTimer = null
+    this.dueTimer = null
+    this.polling = false
+    this.processing = false
+    this.funding = null
+    this.stopped = false
+  }
+
+  async start(recipients, donors) {
+    this.donorAddresses = donors.map(d => d.address)
+    for (const recipient of recipients) {
+      this.states.set(recipient.address, { recipient, checked: false, fundedUntil: 0, ledgerUntil: 0, retryAt: 0 })
+    }
+    this.applyLedger()
+
+    if (this.checker.token) {
+      await this.checker.token.load()
+    }
+
+    // Subscribe before the first check so transfers that land during it aren't missed
+    this.startedAt = Date.now()
+    this.slotSubscription = this.connection.onSlotChange(() => this.onSlot())
+    for (const state of this.states.values()) {
+      const id = this.connection.onLogs(this.getWatchedAddress(state.recipient), logs => this.onLogs(state, logs), 'confirmed')
+      this.subscriptions.push(id)
+    }
+    console.log(`📡 Subscribed to ${this.subscriptions.length} recipients`)
+
+    await this.poll('initial check')
+    const heartbeatMs = Math.min(HEARTBEAT_CHECK_MS, this.config.monitorHeartbeatTimeoutSeconds * 500)
+    this.heartbeatTimer = setInterval(() => this.checkHeartbeat(), heartbeatMs)
+    this.scheduleDueCheck(0)
+  }
+
+  /**
+   * Stop listening, after any funding in progress has finished
+   */
+  async stop() {
+    this.stopped = true
+    clearInterval(this.heartbeatTimer)
+    clearInterval(this.pollTimer)
+    clearTimeout(this.dueTimer)
+
+    if (this.funding) {
+      await this.funding
+    }
+
+    for (const id of this.subscriptions) {
+      await this.connection.removeOnLogsListener(id).catch(() => {})
+    }
+    if (this.slotSubscription !== null) {
+      await this.connection.removeSlotChangeListener(this.slotSubscription).catch(() => {})
+    }
+    this.subscriptions = []
+  }
+
+  /**
+   * Transfers to a wallet mention the wallet itself; token transfers only
+   * mention its token account
+   */
+  getWatchedAddress(recipient) {
+    return this.checker.token
+      ? this.checker.token.getTokenAccountAddress(recipient.address)
+      : new PublicKey(recipient.address)
+  }
+
+  onSlot() {
+    this.lastSlotAt = Date.now()
+    if (this.mode === 'realtime' || this.stopped) {
+      return
+    }
+
+    const previous = this.mode
+    this.mode = 'realtime'
+    clearInterval(this.pollTimer)
+    this.pollTimer = null
+
+    if (previous === 'polling') {
+      console.log('📡 WebSocket is back - catching up on transfers missed while it was down')
+      this.poll('catch-up')
+    } else {
+      console.log('📡 WebSocket connected - watching recipients in real time')
+    }
+  }
+
+  /**
+   * Switch to polling when slot notifications stop (or never start)
+   */
+  checkHeartbeat() {
+    if (this.mode === 'polling' || this.stopped) {
+      return
+    }
+
+    const timeoutMs = this.config.monitorHeartbeatTimeoutSeconds * 1000
+    const silentMs = Date.now() - (this.lastSlotAt || this.startedAt)
+    if (silentMs < timeoutMs) {
+      return
+    }
+
+    this.mode = 'polling'
+    console.log(`⚠️  No WebSocket updates for ${Math.round(silentMs / 1000)}s - polling every ${this.config.monitorPollIntervalSeconds}s until it reconnects`)
+    this.pollTimer = setInterval(() => this.poll('polling'), this.config.monitorPollIntervalSeconds * 1000)
+    this.poll('polling')
+  }
+
+  /**
+   * A transaction mentioning a recipient landed: look for a qualifying donor transfer in it
+   */
+  async onLogs(state, logs) {
+    if (logs.err || this.stopped) {
+      return
+    }
+
+    const { recipient } = state
+    try {
+      const transaction = await this.connection.getParsedTransaction(logs.signature, { maxSupportedTransactionVersion: 0, commitment: 'confirmed' })
+      if (!transaction) return
+
+      const transfers = this.checker.getDonorTransfers(transaction, recipient.address, this.donorAddresses)
+      if (transfers.length === 0) {
+        return // Not from a donor
+      }
+
+      const funding = this.checker.analyzeTransactionForFunding(transaction, recipient.address, this.donorAddresses, this.config.getMinSolAmount(recipient))
+      if (funding) {
+        this.markFunded(state, funding.blockTime ? funding.blockTime * 1000 : Date.now(), true)
+      } else if (this.config.sumTransfersInWindow) {
+        // Smaller transfers may add up with earlier ones in the window
+        await this.checkRecipient(state)
+      }
+    } catch (error) {
+      console.log(`   ⚠️  ${recipient.address.slice(0, 8)}... could not read transaction ${logs.signature}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Check every recipient through the polling path
+   */
+  async poll(reason) {
+    if (this.polling || this.stopped) {
+      return
+    }
+    this.polling = true
+
+    try {
+      const states = [...this.states.values()]
+      const outcomes = await this.checker.runWithConcurrency(states, this.config.checkConcurrency, state => this.checkRecipient(state))
+      const now = Date.now()
+      const errors = outcomes.filter(outcome => outcome === 'error').length
+      const inconclusive = outcomes.filter(outcome => outcome === 'inconclusive').length
+      const due = states.filter(state => this.isDue(state, now)).length
+      console.log(`🔄 Checked ${states.length} recipients (${reason}): ${states.length - due - errors - inconclusive} funded, ${due} due${errors > 0 ? `, ${errors} errors` : ''}${inconclusive > 0 ? `, ${inconclusive} inconclusive` : ''}`)
+    } finally {
+      this.polling = false
+    }
+
+    this.scheduleDueCheck(0)
+  }
+
+  /**
+   * Look up a recipient's latest qualifying transfer in its window
+   * Returns 'funded', 'unfunded', 'inconclusive' or 'error'
+   */
+  async checkRecipient(state) {
+    const { recipient } = state
+    try {
+      const funding = await this.checker.checkRecipientFunding(
+        recipient.address,
+        this.donorAddresses,
+        this.config.getTimeframeCutoff(recipient),
+        this.config.getMinSolAmount(recipient)
+      )
+      if (funding && funding.inconclusive) {
+        // Not funded until a check can clear it
+        state.checked = false
+        console.log(`   ⚠️  ${recipient.address.slice(0, 8)}... ${funding.reason}; not funding it`)
+        return 'inconclusive'
+      }
+      state.checked = true
+      if (funding) {
+        this.markFunded(state, funding.blockTime ? funding.blockTime * 1000 : Date.now(), false)
+        return 'funded'
+      }
+      return 'unfunded'
+    } catch (error) {
+      // Leave the state as it was; an unchecked recipient is never funded
+      console.log(`   ⚠️  ${recipient.address.slice(0, 8)}... ${error.message}`)
+      return 'error'
+    }
+  }
+
+  /**
+   * Push a recipient's due time to the end of the window that starts at fundedAt
+   */
+  markFunded(state, fundedAt, announce) {
+    const fundedUntil = fundedAt + this.getWindowMs(state.recipient)
+    if (fundedUntil <= state.fundedUntil) {
+      return
+    }
+
+    state.fundedUntil = fundedUntil
+    if (announce) {
+      const label = state.recipient.label ? ` (${state.recipient.label})` : ''
+      console.log(`💰 ${state.recipient.address.slice(0, 8)}...${label} funded - next due ${new Date(fundedUntil).toISOString()}`)
+    }
+  }
+
+  /**
+   * Transfers this tool sent count as funding too, even before they show up on chain
+   */
+  applyLedger() {
+    if (!this.ledger) {
+      return
+    }
+
+    const lastFundedTimes = this.ledger.getLastFundedTimes(this.config.fundingMint)
+    for (const state of this.states.values()) {
+      const lastFunded = lastFundedTimes.get(state.recipient.address)
+      if (lastFunded) {
+        state.ledgerUntil = lastFunded.getTime() + this.getWindowMs(state.recipient)
+      }
+    }
+  }
+
+  getWindowMs(recipient) {
+    return this.config.getHoursLookback(recipient) * 60 * 60 * 1000
+  }
+
+  getDueAt(state) {
+    return Math.max(state.fundedUntil, state.ledgerUntil, state.retryAt)
+  }
+
+  isDue(state, now = Date.now()) {
+    return state.checked && this.getDueAt(state) <= now
+  }
+
+  scheduleDueCheck(delayMs) {
+    if (this.stopped) {
+      return
+    }
+    clearTimeout(this.dueTimer)
+    this.dueTimer = setTimeout(() => this.processDue(), Math.max(0, Math.min(delayMs, MAX_DUE_WAIT_MS)))
+  }
+
+  /**
+   * Fund every recipient whose window ended without a qualifying transfer,
+   * then sleep until the next one is due
+   */
+  async processDue() {
+    // Claimed before the first await: a poll may schedule another check meanwhile
+    if (this.processing || this.stopped) {
+      return
+    }
+    this.processing = true
+
+    try {
+      let due = [...this.states.values()].filter(state => this.isDue(state))
+      if (due.length > 0) {
+        // Confirm through the polling path first, in case a notification was missed
+        await this.checker.runWithConcurrency(due, this.config.checkConcurrency, state => this.checkRecipient(state))
+        due = due.filter(state => this.isDue(state))
+      }
+
+      if (due.length > 0 && !this.stopped) {
+        this.funding = this.fundRecipients(due)
+        await this.funding
+        this.funding = null
+      }
+    } finally {
+      this.processing = false
+    }
+
+    const now = Date.now()
+    const next = [...this.states.values()]
+      .filter(state => state.checked)
+      .reduce((earliest, state) => Math.min(earliest, this.getDueAt(state)), now + MAX_DUE_WAIT_MS)
+    this.scheduleDueCheck(next - now)
+  }
+
+  async fundRecipients(due) {
+    console.log('')
+    console.log(`⏰ ${due.length} recipients reached the end of their window without a qualifying transfer`)
+    const retryAt = Date.now() + this.config.monitorPollIntervalSeconds * 1000
+
+    try {
+      const results = await this.fundDue(due.map(state => state.recipient))
+      const outcomes = new Map(results.transfers.map(t => [t.recipient, t.status]))
+
+      for (const state of due) {
+        const status = outcomes.get(state.recipient.address)
+        if (status === 'success' || status === 'dry-run') {
+          // The transfer's own notification will confirm this once it lands
+          this.markFunded(state, Date.now(), false)
+        } else {
+          state.retryAt = retryAt
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Funding failed: ${error.message} - retrying in ${this.config.monitorPollIntervalSeconds}s`)
+      for (const state of due) {
+        state.retryAt = retryAt
+      }
+    }
+
+    this.applyLedger()
+    console.log('')
+  }
+}
+
+module.exports = RecipientMonitor
@@ -0,0 +1,168 @@
+const fs = require('fs')
+
+// Columns of the CSV report; every record type fills the ones that apply to it
+const CSV_COLUMNS = [
+  'type', 'address', 'label', 'status', 'donor', 'recipient', 'amount', 'signature',
+  'balance', 'target', 'shortfall', 'balanceBefore', 'balanceAfter', 'batched', 'error',
+  'setting', 'value'
+]
+
+class RunReport {
+  constructor(config, command) {
+    this.config = config
+    this.command = command
+    this.runId = null
+    this.startedAt = new Date()
+    this.finishedAt = null
+    this.recipients = []
+    this.transfers = []
+    this.donors = []
+    this.summary = {}
+  }
+
+  /**
+   * Add a recipient's check outcome (status, matched signature/amount, balance...)
+   */
+  addRecipient(result) {
+    this.recipients.push({
+      address: result.address,
+      label: result.label || null,
+      status: result.status,
+      signature: result.signature || null,
+      donor: result.donor || null,
+      amount: result.amount !== undefined ? result.amount : null,
+      balance: result.balance !== undefined ? result.balance : null,
+      target: result.target !== undefined ? result.target : null,
+      shortfall: result.shortfall !== undefined ? result.shortfall : null,
+      error: result.error || null
+    })
+  }
+
+  /**
+   * Add every recipient in order: ledger skips first get 'skipped-ledger',
+   * the rest take their result from the checker
+   */
+  addRecipients(recipients, checkResults, skippedByLedger = new Set()) {
+    for (const recipient of recipients) {
+      if (skippedByLedger.has(recipient.address)) {
+        this.addRecipient({ address: recipient.address, label: recipient.label, status: 'skipped-ledger' })
+      } else if (checkResults.has(recipient.address)) {
+        this.addRecipient(checkResults.get(recipient.address))
+      }
+    }
+  }
+
+  /**
+   * Add the transfers from WalletFunder results
+   */
+  addTransfers(transfers) {
+    for (const transfer of transfers) {
+      this.transfers.push({
+        recipient: transfer.recipient,
+        label: transfer.label || null,
+        donor: transfer.donor,
+        amount: transfer.amountSol,
+        status: transfer.status,
+        signature: transfer.signature || null,
+        batched: !!transfer.batched,
+        error: transfer.error || null
+      })
+    }
+  }
+
+  /**
+   * Record donor balances (Maps of address -> amount) taken before and after funding
+   */
+  setDonorBalances(donors, before, after) {
+    this.donors = donors.map(donor => ({
+      address: donor.address,
+      label: donor.label || null,
+      balanceBefore: before.has(donor.address) ? before.get(donor.address) : null,
+      balanceAfter: after.has(donor.address) ? after.get(donor.address) : null
+    }))
+  }
+
+  toJSON() {
+    return {
+      command: this.command,
+      runId: this.runId,
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: (this.finishedAt || new Date()).toISOString(),
+      dryRun: this.config.dryRun,
+      unit: this.config.getAmountUnit(),
+      summary: this.summary,
+      config: this.config.getEffectiveSettings(),
+      recipients: this.recipients,
+      transfers: this.transfers,
+      donors: this.donors
+    }
+  }
+
+  /**
+   * One record per line, each tagged with its type
+   */
+  toRecords() {
+    const report = this.toJSON()
+    const { recipients, transfers, donors, config, ...run } = report
+    return [
+      { type: 'run', ...run, config },
+      ...recipients.map(r => ({ type: 'recipient', ...r })),
+      ...transfers.map(t => ({ type: 'transfer', ...t })),
+      ...donors.map(d => ({ type: 'donor', ...d }))
+    ]
+  }
+
+  toCsv() {
+    const report = this.toJSON()
+    const rows = [
+      ...Object.entries(report.summary).map(([setting, value]) => ({ type: 'summary', setting, value })),
+      ...Object.entries(report.config).map(([setting, value]) => ({ type: 'config', setting, value })),
+      ...report.recipients.map(r => ({ type: 'recipient', ...r })),
+      ...report.transfers.map(t => ({ type: 'transfer', ...t })),
+      ...report.donors.map(d => ({ type: 'donor', ...d }))
+    ]
+
+    const lines = [CSV_COLUMNS.join(',')]
+    for (const row of rows) {
+      lines.push(CSV_COLUMNS.map(column => RunReport.csvValue(row[column])).join(','))
+    }
+    return lines.join('\n') + '\n'
+  }
+
+  format(format) {
+    switch (format) {
+      case 'csv':
+        return this.toCsv()
+      case 'ndjson':
+        return this.toRecords().map(record => JSON.stringify(record)).join('\n') + '\n'
+      default:
+        return JSON.stringify(this.toJSON(), null, 2) + '\n'
+    }
+  }
+
+  /**
+   * Write the report to REPORT_FILE, or to stdout when it is '-'
+   */
+  write() {
+    this.finishedAt = new Date()
+    const output = this.format(this.config.reportFormat)
+
+    if (this.config.reportFile === '-') {
+      // Straight to stdout, so it still comes through when console.log is silenced
+      process.stdout.write(output)
+    } else {
+      fs.writeFileSync(this.config.reportFile, output)
+      console.log(`🧾 Report written to ${this.config.reportFile} (${this.config.reportFormat})`)
+    }
+  }
+
+  static csvValue(value) {
+    if (value === null || value === undefined) {
+      return ''
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+}
+
+module.exports = RunReport
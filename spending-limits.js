@@ -0,0 +1,54 @@
+// Window of the rolling spend cap
+const DAY_MS = 24 * 60 * 60 * 1000
+
+class SpendingLimits {
+  /**
+   * Budgets for one run: MAX_TOTAL_SOL_PER_RUN, and MAX_SOL_PER_24H on top of
+   * what the ledger shows was already sent in the last 24 hours
+   * Amounts are in the funding asset (tokens with FUNDING_MINT) and exclude fees
+   * previous (optional) continues the budgets of an earlier part of the same
+   * run, such as the previous policy group
+   */
+  constructor(config, ledger = null, previous = null) {
+    this.config = config
+    this.runSpent = previous ? previous.runSpent : 0
+    // Snapshot at the start, so planning and dry runs see the same budget as real sends
+    if (previous) {
+      this.spentBefore = previous.spentBefore
+    } else {
+      this.spentBefore = ledger ? ledger.getSpentSince(new Date(Date.now() - DAY_MS), config.fundingMint) : 0
+    }
+  }
+
+  /**
+   * Why `amount` can't be sent without breaking a limit, or null if it can
+   */
+  check(amount) {
+    const unit = this.config.getAmountUnit()
+    // Round to lamports so float noise doesn't trip a limit that is exactly reached
+    const exceeds = (spent, limit) => Math.round((spent + amount) * 1e9) > Math.round(limit * 1e9)
+
+    if (this.config.maxTotalSolPerRun > 0 && exceeds(this.runSpent, this.config.maxTotalSolPerRun)) {
+      return `MAX_TOTAL_SOL_PER_RUN reached (${this.runSpent.toFixed(6)} of ${this.config.maxTotalSolPerRun} ${unit} used this run)`
+    }
+
+    if (this.config.maxSolPer24h > 0 && exceeds(this.spentBefore + this.runSpent, this.config.maxSolPer24h)) {
+      return `MAX_SOL_PER_24H reached (${(this.spentBefore + this.runSpent).toFixed(6)} of ${this.config.maxSolPer24h} ${unit} used in the last 24h)`
+    }
+
+    return null
+  }
+
+  add(amount) {
+    this.runSpent += amount
+  }
+
+  /**
+   * Give back the budget of a transfer that didn't happen
+   */
+  remove(amount) {
+    this.runSpent -= amount
+  }
+}
+
+module.exports = SpendingLimits
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Test runner: every test/*.test.js against the in-process mock RPC
+ *
+ *   node test.js                  all tests, offline
+ *   node test.js checker          only files whose name contains "checker"
+ *   node test.js --validator      also start solana-test-validator and run the
+ *                                 tests that need a real cluster
+ *
+ * TEST_VALIDATOR_URL points the validator tests at one that is already running
+ * TEST_VERBOSE=true keeps the tool's own output
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawn } = require('child_process')
+const { run } = require('node:test')
+const { spec } = require('node:test/reporters')
+const { Connection } = require('@solana/web3.js')
+
+const TEST_DIR = path.join(__dirname, 'test')
+const VALIDATOR_RPC_URL = 'http://127.0.0.1:8899'
+const VALIDATOR_STARTUP_MS = 60000
+
+/**
+ * Start solana-test-validator with a throwaway ledger and wait until it answers
+ */
+async function startValidator() {
+  const ledgerDir = fs.mkdtempSync(path.join(os.tmpdir(), 'funding-validator-'))
+  const validator = spawn('solana-test-validator', ['--reset', '--quiet', '--ledger', ledgerDir], { stdio: 'ignore' })
+  const stop = () => {
+    validator.kill()
+    fs.rmSync(ledgerDir, { recursive: true, force: true })
+  }
+
+  const failed = new Promise((resolve, reject) => {
+    validator.on('error', error => reject(new Error(`Could not start solana-test-validator: ${error.message}`)))
+    validator.on('exit', code => reject(new Error(`solana-test-validator exited with code ${code}`)))
+  })
+
+  const connection = new Connection(VALIDATOR_RPC_URL, 'confirmed')
+  const ready = (async () => {
+    const startedAt = Date.now()
+    while (Date.now() - startedAt < VALIDATOR_STARTUP_MS) {
+      try {
+        await connection.getLatestBlockhash()
+        return
+      } catch (error) {
+        await new Promise(resolve => setTimeout(resolve, 500))
+      }
+    }
+    throw new Error(`solana-test-validator did not answer within ${VALIDATOR_STARTUP_MS / 1000}s`)
+  })()
+
+  try {
+    await Promise.race([ready, failed])
+  } catch (error) {
+    stop()
+    throw error
+  }
+
+  console.log(`🧪 solana-test-validator running at ${VALIDATOR_RPC_URL}`)
+  return stop
+}
+
+async function main() {
+  const args = process.argv.slice(2)
+  const filters = args.filter(arg => !arg.startsWith('--'))
+  const files = fs.readdirSync(TEST_DIR)
+    .filter(file => file.endsWith('.test.js'))
+    .filter(file => filters.length === 0 || filters.some(filter => file.includes(filter)))
+    .map(file => path.join(TEST_DIR, file))
+
+  let stopValidator = null
+  if (args.includes('--validator') && !process.env.TEST_VALIDATOR_URL) {
+    stopValidator = await startValidator()
+    process.env.TEST_VALIDATOR_URL = VALIDATOR_RPC_URL
+  }
+
+  const stream = run({ files, concurrency: 1 })
+  stream.on('test:fail', () => {
+    process.exitCode = 1
+  })
+  stream.on('end', () => {
+    if (stopValidator) {
+      stopValidator()
+    }
+  })
+  stream.compose(new spec()).pipe(process.stdout)
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`)
+  process.exit(1)
+})
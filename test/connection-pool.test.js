@@ -0,0 +1,101 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { useEnv } = require('./helpers')
+const fixtures = require('./fixtures')
+const MockConnection = require('./mock-connection')
+const Config = require('../config')
+const ConnectionPool = require('../connection-pool')
+
+const address = fixtures.recipients[0].publicKey
+
+/**
+ * A pool over two mock endpoints, primary first
+ */
+function createPool(t, env = {}) {
+  useEnv(t, { RPC_URLS: 'https://primary.example.com/key123,https://backup.example.com', ...env })
+  const primary = new MockConnection()
+  const backup = new MockConnection()
+  primary.setBalance(address, 1)
+  backup.setBalance(address, 1)
+  const pool = new ConnectionPool(new Config(), [primary, backup])
+  return { pool, primary, backup }
+}
+
+test('fails over to the next endpoint on a network error and stays there', async (t) => {
+  const { pool, primary, backup } = createPool(t)
+  primary.failNext('getBalance', new Error('fetch failed'))
+
+  assert.equal(await pool.connection.getBalance(address), 1e9)
+  assert.equal(await pool.connection.getBalance(address), 1e9)
+
+  assert.equal(pool.getActive().host, 'backup.example.com')
+  assert.equal(primary.callCount('getBalance'), 1)
+  assert.equal(backup.callCount('getBalance'), 2)
+})
+
+test('rethrows request errors without failing over', async (t) => {
+  const { pool, backup } = createPool(t)
+  pool.endpoints[0].connection.failNext('sendRawTransaction', new Error('Transaction simulation failed: insufficient funds'))
+
+  await assert.rejects(pool.connection.sendRawTransaction(Buffer.alloc(0)), /insufficient funds/)
+  assert.equal(pool.active, 0)
+  assert.equal(backup.callCount('sendRawTransaction'), 0)
+})
+
+test('throws the last error when every endpoint fails', async (t) => {
+  const { pool, primary, backup } = createPool(t)
+  primary.failNext('getBalance', new Error('503 Service Unavailable'))
+  backup.failNext('getBalance', new Error('connect ECONNREFUSED'))
+
+  await assert.rejects(pool.connection.getBalance(address), /ECONNREFUSED/)
+})
+
+test('health checks skip an endpoint that falls behind and return to it once it catches up', async (t) => {
+  const { pool, primary, backup } = createPool(t, { RPC_MAX_SLOT_LAG: '50' })
+  backup.slot = primary.slot + 100
+
+  let health = await pool.checkHealth()
+  assert.deepEqual(health.map(e => e.healthy), [false, true])
+  assert.equal(pool.getActive().host, 'backup.example.com')
+
+  primary.slot = backup.slot - 10
+  health = await pool.checkHealth()
+  assert.deepEqual(health.map(e => e.healthy), [true, true])
+  assert.equal(pool.getActive().host, 'primary.example.com')
+})
+
+test('health checks run in the background once the interval has passed', async (t) => {
+  const { pool, primary, backup } = createPool(t)
+
+  await pool.connection.getBalance(address)
+  await pool.checking
+  await pool.connection.getBalance(address)
+
+  assert.equal(primary.callCount('getSlot'), 1)
+  assert.equal(backup.callCount('getSlot'), 1)
+})
+
+test('CLUSTER picks the default endpoint; RPC_URLS replaces it', (t) => {
+  useEnv(t, { CLUSTER: 'devnet' })
+  assert.deepEqual(new Config().getRpcUrls(), ['https://api.devnet.solana.com'])
+
+  process.env.HELIUS_API_KEY = 'abc'
+  assert.deepEqual(new Config().getRpcUrls(), ['https://devnet.helius-rpc.com/?api-key=abc'])
+
+  process.env.CLUSTER = 'localnet'
+  assert.deepEqual(new Config().getRpcUrls(), ['http://127.0.0.1:8899'])
+
+  process.env.RPC_URLS = 'http://a.example.com, http://b.example.com'
+  assert.deepEqual(new Config().getRpcUrls(), ['http://a.example.com', 'http://b.example.com'])
+})
+
+test('rejects unknown clusters and custom without RPC_URLS', (t) => {
+  useEnv(t, { CLUSTER: 'moonnet' })
+  assert.throws(() => new Config(), /CLUSTER must be one of/)
+
+  process.env.CLUSTER = 'custom'
+  assert.throws(() => new Config(), /RPC_URLS is required/)
+
+  process.env.RPC_URLS = 'ws://a.example.com'
+  assert.throws(() => new Config(), /must be http\(s\) URLs/)
+})
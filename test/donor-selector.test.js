@@ -0,0 +1,47 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { useEnv } = require('./helpers')
+const Config = require('../config')
+const DonorSelector = require('../donor-selector')
+
+// Fixed balances: small, large and medium, in file order
+const donors = [
+  { address: 'donor-a', label: 'a', balance: 3, solBalance: 3 },
+  { address: 'donor-b', label: 'b', balance: 10, solBalance: 10 },
+  { address: 'donor-c', label: 'c', balance: 6, solBalance: 6 }
+]
+
+/**
+ * Labels of the donors picked (or why none was) for 2 SOL transfers to the
+ * recipients, six by default, under DONOR_STRATEGY
+ */
+function pick(t, strategy, recipients = Array.from({ length: 6 }, (_, i) => ({ address: `recipient-${i}` })), env = {}) {
+  useEnv(t, { DONOR_STRATEGY: strategy, ...env })
+  const selector = new DonorSelector(new Config(), donors.map(d => ({ ...d })))
+  return recipients.map(recipient => {
+    const { donor, reason } = selector.select(recipient, 2)
+    return donor ? donor.label : reason
+  })
+}
+
+test('round-robin takes the next donor that can still afford the transfer', (t) => {
+  assert.deepEqual(pick(t, 'round-robin'), ['a', 'b', 'c', 'b', 'c', 'b'])
+})
+
+test('largest-first drains the donor that started with the most before moving on', (t) => {
+  assert.deepEqual(pick(t, 'largest-first'), ['b', 'b', 'b', 'b', 'b', 'c'])
+})
+
+test('balanced takes from whoever has the most left', (t) => {
+  assert.deepEqual(pick(t, 'balanced'), ['b', 'b', 'b', 'c', 'b', 'c'])
+})
+
+test('mapped only funds recipients with a donor column', (t) => {
+  const recipients = [{ address: 'r1', donor: 'c' }, { address: 'r2' }, { address: 'r3', donor: 'donor-a' }, { address: 'r4', donor: 'nobody' }]
+
+  assert.deepEqual(pick(t, 'mapped', recipients), ['c', 'no donor assigned in the donor column', 'a', 'assigned donor nobody is not available'])
+})
+
+test('donors are skipped once a transfer would take them below RESERVE_SOL', (t) => {
+  assert.deepEqual(pick(t, 'round-robin', undefined, { RESERVE_SOL: '2' }), ['b', 'c', 'b', 'c', 'b', 'b'])
+})
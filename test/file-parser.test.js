@@ -0,0 +1,185 @@
+const fs = require('fs')
+const path = require('path')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { default: bs58 } = require('bs58')
+const { PublicKey, SystemProgram } = require('@solana/web3.js')
+const { tempDir, writeJson } = require('./helpers')
+const fixtures = require('./fixtures')
+const FileParser = require('../file-parser')
+const ValidationReport = require('../validation-report')
+
+const [donorKeypair] = fixtures.donors
+const donor = donorKeypair.publicKey.toBase58()
+const [first, second, third] = fixtures.recipients.map(kp => kp.publicKey.toBase58())
+
+test('parses a JSON file of addresses and wallet objects', async (t) => {
+  const file = writeJson(path.join(tempDir(t), 'recipients.json'), [
+    first,
+    { address: second, label: 'vip', min_amount: '0.2', funding_amount: 1, lookback_hours: '48' }
+  ])
+
+  const wallets = await FileParser.parseWalletFile(file, 'recipient')
+
+  assert.deepEqual(wallets.map(w => w.address), [first, second])
+  assert.equal(wallets[0].minAmount, null)
+  assert.equal(wallets[1].label, 'vip')
+  assert.equal(wallets[1].minAmount, 0.2)
+  assert.equal(wallets[1].fundingAmount, 1)
+  assert.equal(wallets[1].lookbackHours, 48)
+})
+
+test('derives donor addresses from private keys in a CSV file', async (t) => {
+  const file = path.join(tempDir(t), 'donors.csv')
+  fs.writeFileSync(file, `private_key,label,reserve_sol\n${bs58.encode(donorKeypair.secretKey)},main,0.5\n`)
+
+  const [wallet] = await FileParser.parseWalletFile(file, 'donor')
+
+  assert.equal(wallet.address, donor)
+  assert.equal(wallet.label, 'main')
+  assert.equal(wallet.reserveSol, 0.5)
+})
+
+test('skips CSV rows with bad settings and drops invalid addresses', async (t) => {
+  const file = path.join(tempDir(t), 'recipients.csv')
+  fs.writeFileSync(file, `address,min_amount\n${first},0.1\n${second},-1\nnot-an-address,0.1\n`)
+
+  const wallets = await FileParser.parseWalletFile(file, 'recipient')
+
+  assert.deepEqual(wallets.map(w => w.address), [first])
+})
+
+test('loads a directory of solana-keygen keypair files', async (t) => {
+  const dir = tempDir(t)
+  fixtures.donors.forEach((kp, i) => writeJson(path.join(dir, `donor-${i}.json`), Array.from(kp.secretKey)))
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a keypair')
+
+  const wallets = await FileParser.parseWalletFile(dir, 'donor')
+
+  assert.deepEqual(wallets.map(w => w.address), fixtures.donors.map(kp => kp.publicKey.toBase58()))
+  assert.deepEqual(wallets.map(w => w.label), ['donor-0', 'donor-1'])
+  assert.ok(wallets.every(w => w.privateKey))
+})
+
+test('loads a single solana-keygen keypair file as one donor', async (t) => {
+  const file = writeJson(path.join(tempDir(t), 'id.json'), Array.from(fixtures.donors[0].secretKey))
+
+  const wallets = await FileParser.parseWalletFile(file, 'donor')
+
+  assert.deepEqual(wallets.map(w => [w.address, w.label]), [[fixtures.donors[0].publicKey.toBase58(), 'id']])
+  assert.deepEqual(JSON.parse(wallets[0].privateKey), Array.from(fixtures.donors[0].secretKey))
+})
+
+test('rejects missing files and files without a valid address', async (t) => {
+  const dir = tempDir(t)
+  const invalid = writeJson(path.join(dir, 'recipients.json'), ['not-an-address'])
+
+  await assert.rejects(FileParser.parseWalletFile(path.join(dir, 'missing.csv'), 'recipient'), /File not found/)
+  await assert.rejects(FileParser.parseWalletFile(invalid, 'recipient'), /No valid wallet addresses/)
+})
+
+test('rejects duplicates, off-curve addresses and rows with the wrong column count, with line numbers', async (t) => {
+  const [pda] = PublicKey.findProgramAddressSync([Buffer.from('vault')], SystemProgram.programId)
+  const file = path.join(tempDir(t), 'recipients.csv')
+  fs.writeFileSync(file, [
+    'address,label',
+    `${first},a`,
+    `${second},b,extra`,
+    '',
+    `${first},again`,
+    `${pda.toBase58()},vault`,
+    `${third}`,
+    `${second},b`
+  ].join('\n') + '\n')
+  const report = new ValidationReport()
+
+  const wallets = await FileParser.parseWalletFile(file, 'recipient', { report })
+
+  assert.deepEqual(wallets.map(w => w.address), [first, second])
+  assert.deepEqual(report.rejected.map(issue => [issue.line, issue.reason]), [
+    [3, 'expected 2 columns, found 3'],
+    [5, 'duplicate of line 2'],
+    [6, 'off-curve address (a program derived address, not a wallet)'],
+    [7, 'expected 2 columns, found 1']
+  ])
+  assert.deepEqual(report.files, [{ file, type: 'recipient', rows: 6, loaded: 2, rejected: 4 }])
+})
+
+test('strict mode aborts on a rejected JSON item instead of skipping it', async (t) => {
+  const file = writeJson(path.join(tempDir(t), 'recipients.json'), [first, { label: 'no address' }, first])
+  const report = new ValidationReport()
+
+  await assert.rejects(FileParser.parseWalletFile(file, 'recipient', { strict: true, report }), /2 invalid rows .* \(strict validation\): line 3: No wallet address or private key found in row; line 6: duplicate of line 2/)
+  assert.equal(report.rejected.length, 2)
+})
+
+test('warns about recipients that are also donors', async (t) => {
+  const file = writeJson(path.join(tempDir(t), 'recipients.json'), [first, donor])
+  const report = new ValidationReport()
+  const recipients = await FileParser.parseWalletFile(file, 'recipient', { report })
+
+  report.checkOverlap([{ address: donor }], recipients, file)
+
+  assert.equal(recipients.length, 2)
+  assert.deepEqual(report.warnings.map(w => [w.item, w.address, w.reason]), [[2, donor, 'recipient is also a donor']])
+  assert.equal(report.hasErrors(), false)
+})
+
+test('reads NDJSON, TSV and plain lists into the same wallet records', async (t) => {
+  const dir = tempDir(t)
+  const ndjson = path.join(dir, 'recipients.ndjson')
+  fs.writeFileSync(ndjson, `"${first}"\n\n{"address":"${second}","label":"b","min_amount":0.2}\n{not json\n`)
+  const tsv = path.join(dir, 'recipients.tsv')
+  fs.writeFileSync(tsv, `address\tlabel\tmin_amount\n${first}\t\t\n${second}\tb\t0.2\n`)
+  const list = path.join(dir, 'recipients.txt')
+  fs.writeFileSync(list, `# recipients\n${first}\n\n${second}\n`)
+  const report = new ValidationReport()
+
+  const results = [
+    await FileParser.parseWalletFile(ndjson, 'recipient', { report }),
+    await FileParser.parseWalletFile(tsv, 'recipient'),
+    await FileParser.parseWalletFile(list, 'recipient')
+  ]
+
+  for (const wallets of results) {
+    assert.deepEqual(wallets.map(w => w.address), [first, second])
+    assert.deepEqual(Object.keys(wallets[0]), Object.keys(results[0][0]))
+  }
+  assert.equal(results[0][1].label, 'b')
+  assert.equal(results[0][1].minAmount, 0.2)
+  assert.equal(results[1][1].minAmount, 0.2)
+  assert.deepEqual(report.rejected.map(issue => issue.line), [4])
+})
+
+test('streams a JSON array with keys as byte arrays and detects formats without an extension', async (t) => {
+  const dir = tempDir(t)
+  const json = path.join(dir, 'donors.json')
+  fs.writeFileSync(json, JSON.stringify([{ privateKey: Array.from(donorKeypair.secretKey), label: 'a, "quoted" [label]' }, second]))
+  const noExtension = path.join(dir, 'recipients')
+  fs.writeFileSync(noExtension, `${first}\n${second}\n`)
+
+  const donors = await FileParser.parseWalletFile(json, 'donor')
+  const recipients = await FileParser.parseWalletFile(noExtension, 'recipient')
+
+  assert.deepEqual(donors.map(w => w.address), [donor, second])
+  assert.equal(donors[0].label, 'a, "quoted" [label]')
+  assert.deepEqual(recipients.map(w => w.address), [first, second])
+  assert.equal(FileParser.detectFormat('[\n  "a"'), 'json')
+  assert.equal(FileParser.detectFormat('{"address":"a"}'), 'ndjson')
+  assert.equal(FileParser.detectFormat('wallet\tname\n'), 'tsv')
+  assert.equal(FileParser.detectFormat('wallet\n'), 'csv')
+  await assert.rejects(FileParser.parseWalletFile(writeJson(path.join(dir, 'object.json'), { address: first }), 'recipient'), /must contain an array/)
+  fs.writeFileSync(json, `["${first}",`)
+  await assert.rejects(FileParser.parseWalletFile(json, 'recipient'), /the array is not closed/)
+})
+
+test('reads unknown headers through addressColumn and keyColumn', async (t) => {
+  const file = path.join(tempDir(t), 'donors.csv')
+  fs.writeFileSync(file, `seller,signer,label\n,${bs58.encode(donorKeypair.secretKey)},main\n${second},,other\n`)
+
+  const wallets = await FileParser.parseWalletFile(file, 'donor', { addressColumn: 'seller', keyColumn: 'signer' })
+
+  assert.deepEqual(wallets.map(w => w.address), [donor, second])
+  assert.ok(wallets[0].privateKey)
+  assert.equal(wallets[1].privateKey, null)
+})
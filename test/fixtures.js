@@ -0,0 +1,190 @@
+const { Keypair, PublicKey, SystemProgram, LAMPORTS_PER_SOL } = require('@solana/web3.js')
+const { default: bs58 } = require('bs58')
+const { TOKEN_PROGRAM_ID, MINT_SIZE, MintLayout, getAssociatedTokenAddressSync } = require('@solana/spl-token')
+
+/**
+ * Fixed keypairs, so addresses are the same on every run
+ */
+function keypair(seed) {
+  return Keypair.fromSeed(Buffer.alloc(32, seed))
+}
+
+const donors = [keypair(1), keypair(2)]
+const recipients = [keypair(11), keypair(12), keypair(13)]
+const stranger = keypair(99)
+
+/**
+ * A unique, valid base58 transaction signature
+ */
+let signatureCount = 0
+function fakeSignature() {
+  const bytes = Buffer.alloc(64)
+  bytes.writeUInt32BE(++signatureCount, 60)
+  return bs58.encode(bytes)
+}
+
+/**
+ * A system transfer instruction as getParsedTransaction returns it
+ */
+function parsedTransfer(source, destination, sol) {
+  return {
+    program: 'system',
+    programId: SystemProgram.programId,
+    parsed: {
+      type: 'transfer',
+      info: { source, destination, lamports: Math.round(sol * LAMPORTS_PER_SOL) }
+    }
+  }
+}
+
+/**
+ * A jsonParsed transaction moving SOL between wallets
+ * transfers: [{ from, to, sol }] as top-level instructions; inner: the same,
+ * as inner instructions (e.g. made by another program)
+ */
+function transferTransaction({ transfers = [], inner = [], signature = fakeSignature(), blockTime = Math.floor(Date.now() / 1000), slot = 1000, err = null }) {
+  const instructions = transfers.map(t => parsedTransfer(t.from, t.to, t.sol))
+  const innerInstructions = inner.length > 0
+    ? [{ index: 0, instructions: inner.map(t => parsedTransfer(t.from, t.to, t.sol)) }]
+    : []
+
+  const addresses = [...new Set([...transfers, ...inner].flatMap(t => [t.from, t.to]))]
+
+  return {
+    slot,
+    blockTime,
+    version: 'legacy',
+    meta: { err, fee: 5000, innerInstructions, logMessages: [], preBalances: [], postBalances: [] },
+    transaction: {
+      signatures: [signature],
+      message: {
+        accountKeys: addresses.map((pubkey, index) => ({ pubkey, signer: index === 0, writable: true, source: 'transaction' })),
+        instructions,
+        recentBlockhash: bs58.encode(Buffer.alloc(32, 7))
+      }
+    }
+  }
+}
+
+/**
+ * A transaction as Helius' enhanced transactions API returns it
+ * transfers: [{ from, to, sol }]; tokenTransfers: [{ from, to, amount, mint }]
+ */
+function enhancedTransaction({ transfers = [], tokenTransfers = [], signature = fakeSignature(), timestamp = Math.floor(Date.now() / 1000), error = null }) {
+  return {
+    signature,
+    timestamp,
+    type: 'TRANSFER',
+    source: 'SYSTEM_PROGRAM',
+    fee: 5000,
+    transactionError: error,
+    nativeTransfers: transfers.map(t => ({ fromUserAccount: t.from, toUserAccount: t.to, amount: Math.round(t.sol * LAMPORTS_PER_SOL) })),
+    tokenTransfers: tokenTransfers.map(t => ({ fromUserAccount: t.from, toUserAccount: t.to, tokenAmount: t.amount, mint: t.mint, tokenStandard: 'Fungible' }))
+  }
+}
+
+/**
+ * Account info of an initialized SPL Token mint, for MockConnection.setAccount
+ */
+function mintAccount(decimals = 6) {
+  const data = Buffer.alloc(MINT_SIZE)
+  MintLayout.encode({
+    mintAuthorityOption: 0,
+    mintAuthority: PublicKey.default,
+    supply: 0n,
+    decimals,
+    isInitialized: true,
+    freezeAuthorityOption: 0,
+    freezeAuthority: PublicKey.default
+  }, data)
+  return { lamports: 1461600, owner: TOKEN_PROGRAM_ID, data, executable: false, rentEpoch: 0 }
+}
+
+/**
+ * A jsonParsed transferChecked between the associated token accounts of
+ * wallets, as it lands when the recipient's token account already exists:
+ * only the token accounts and the signer are in the account keys, not the
+ * recipient wallet itself
+ * transfers: [{ from, to, amount }] in whole tokens
+ */
+function tokenTransferTransaction({ transfers = [], mint, decimals = 6, signature = fakeSignature(), blockTime = Math.floor(Date.now() / 1000), slot = 1000 }) {
+  const tokenAccount = owner => getAssociatedTokenAddressSync(new PublicKey(mint), new PublicKey(owner), true).toBase58()
+  const baseUnits = amount => Math.round(amount * Math.pow(10, decimals))
+  const addresses = [...new Set(transfers.flatMap(t => [t.from, tokenAccount(t.from), tokenAccount(t.to)])), mint, TOKEN_PROGRAM_ID.toBase58()]
+  const indexOf = address => addresses.indexOf(address)
+  const tokenBalance = (owner, amount) => ({
+    accountIndex: indexOf(tokenAccount(owner)),
+    mint,
+    owner,
+    programId: TOKEN_PROGRAM_ID.toBase58(),
+    uiTokenAmount: { amount: String(amount), decimals, uiAmount: amount / Math.pow(10, decimals) }
+  })
+
+  // Every sender starts with enough for its transfers, every receiver with nothing
+  const balances = new Map()
+  for (const { from, to, amount } of transfers) {
+    balances.set(from, (balances.get(from) || 0) + baseUnits(amount))
+    balances.set(to, balances.get(to) || 0)
+  }
+  const preTokenBalances = [...balances].map(([owner, amount]) => tokenBalance(owner, amount))
+  for (const { from, to, amount } of transfers) {
+    balances.set(from, balances.get(from) - baseUnits(amount))
+    balances.set(to, balances.get(to) + baseUnits(amount))
+  }
+  const postTokenBalances = [...balances].map(([owner, amount]) => tokenBalance(owner, amount))
+
+  return {
+    slot,
+    blockTime,
+    version: 'legacy',
+    meta: { err: null, fee: 5000, innerInstructions: [], logMessages: [], preBalances: [], postBalances: [], preTokenBalances, postTokenBalances },
+    transaction: {
+      signatures: [signature],
+      message: {
+        accountKeys: addresses.map((pubkey, index) => ({ pubkey, signer: index === 0, writable: pubkey !== mint, source: 'transaction' })),
+        instructions: transfers.map(t => ({
+          program: 'spl-token',
+          programId: TOKEN_PROGRAM_ID,
+          parsed: {
+            type: 'transferChecked',
+            info: { source: tokenAccount(t.from), destination: tokenAccount(t.to), authority: t.from, mint, tokenAmount: { amount: String(baseUnits(t.amount)), decimals } }
+          }
+        })),
+        recentBlockhash: bs58.encode(Buffer.alloc(32, 7))
+      }
+    }
+  }
+}
+
+/**
+ * Hours ago, as a transaction blockTime
+ */
+function hoursAgo(hours) {
+  return Math.floor((Date.now() - hours * 60 * 60 * 1000) / 1000)
+}
+
+/**
+ * Donor file entries with base58 private keys
+ */
+function donorRows(keypairs = donors) {
+  return keypairs.map((kp, i) => ({ address: kp.publicKey.toBase58(), privateKey: bs58.encode(kp.secretKey), label: `Donor ${i + 1}` }))
+}
+
+function recipientRows(keypairs = recipients) {
+  return keypairs.map((kp, i) => ({ address: kp.publicKey.toBase58(), label: `Recipient ${i + 1}` }))
+}
+
+module.exports = {
+  keypair,
+  donors,
+  recipients,
+  stranger,
+  fakeSignature,
+  transferTransaction,
+  enhancedTransaction,
+  mintAccount,
+  tokenTransferTransaction,
+  hoursAgo,
+  donorRows,
+  recipientRows
+}
@@ -0,0 +1,72 @@
+const fs = require('fs')
+const path = require('path')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { useEnv, writeJson } = require('./helpers')
+const Config = require('../config')
+const FileParser = require('../file-parser')
+const FundingPolicy = require('../funding-policy')
+
+const wallet = (address, row = {}) => ({ ...FileParser.extractFundingOverrides(row), address })
+
+test('loads YAML and JSON policies with per-group settings', (t) => {
+  const dir = useEnv(t)
+  const yamlFile = path.join(dir, 'policy.yaml')
+  fs.writeFileSync(yamlFile, [
+    'groups:',
+    '  market-makers:',
+    '    donors: [mm-pool, Donor 1]',
+    '    min_amount: 0.5',
+    '    lookback_hours: 12',
+    '    funding_amount: 1',
+    '    max_operations: 3',
+    '  default:'
+  ].join('\n'))
+  const jsonFile = writeJson(path.join(dir, 'policy.json'), { groups: { bots: { donors: 'bot-pool', funding_amount: 0.01 } } })
+
+  const policy = FundingPolicy.load(yamlFile)
+
+  assert.deepEqual(policy.groups, [
+    { name: 'market-makers', donors: ['mm-pool', 'Donor 1'], settings: { minSolAmount: 0.5, hoursLookback: 12, fundingAmountSol: 1, maxFundingOperations: 3 } },
+    { name: 'default', donors: [], settings: {} }
+  ])
+  assert.deepEqual(FundingPolicy.load(jsonFile).groups, [{ name: 'bots', donors: ['bot-pool'], settings: { fundingAmountSol: 0.01 } }])
+})
+
+test('rejects unknown settings and bad values', () => {
+  assert.throws(() => FundingPolicy.parseGroups({}), /must have a groups object/)
+  assert.throws(() => FundingPolicy.parseGroups({ groups: { a: { fund: 1 } } }), /Unknown setting fund in policy group a/)
+  assert.throws(() => FundingPolicy.parseGroups({ groups: { a: { max_operations: 1.5 } } }), /max_operations in policy group a must be a whole number/)
+  assert.throws(() => FundingPolicy.parseGroups({ groups: { a: { min_amount: -1 } } }), /min_amount in policy group a must be a number greater than 0/)
+})
+
+test('assigns recipients by group, then tags, then the default group', (t) => {
+  useEnv(t)
+  const config = new Config()
+  const donors = [
+    wallet('D1', { label: 'Donor 1' }),
+    wallet('D2', { tags: 'mm-pool; spare' }),
+    wallet('D3', { group: 'bots' })
+  ]
+  const recipients = [
+    wallet('R1', { group: 'market-makers' }),
+    wallet('R2', { tags: '["vip","market-makers"]' }),
+    wallet('R3', { group: 'unknown' }),
+    wallet('R4')
+  ]
+  const policy = new FundingPolicy(FundingPolicy.parseGroups({ groups: { 'market-makers': { donors: ['mm-pool', 'Donor 1'], funding_amount: 2 } } }))
+
+  const { runs, unassigned } = policy.assign(config, donors, recipients)
+
+  assert.deepEqual(runs.map(run => [run.name, run.donors.map(d => d.address), run.recipients.map(r => r.address)]), [['market-makers', ['D1', 'D2'], ['R1', 'R2']]])
+  assert.equal(runs[0].config.fundingAmountSol, 2)
+  assert.equal(runs[0].config.minSolAmount, config.minSolAmount)
+  assert.equal(config.fundingAmountSol, 0.5)
+  assert.deepEqual(unassigned.map(r => r.address), ['R3', 'R4'])
+
+  const withDefault = new FundingPolicy(FundingPolicy.parseGroups({ groups: { bots: { donors: 'bots' }, default: null } }))
+  assert.deepEqual(withDefault.assign(config, donors, recipients).runs.map(run => [run.name, run.donors.length, run.recipients.length]), [['default', 3, 4]])
+
+  const noDonors = new FundingPolicy(FundingPolicy.parseGroups({ groups: { default: { donors: 'nobody' } } }))
+  assert.throws(() => noDonors.assign(config, donors, recipients), /Policy group default has 4 recipients but no donor matches/)
+})
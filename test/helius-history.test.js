@@ -0,0 +1,143 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { useEnv, startHttpStub } = require('./helpers')
+const fixtures = require('./fixtures')
+const MockConnection = require('./mock-connection')
+const Config = require('../config')
+const HeliusHistory = require('../helius-history')
+const TransactionChecker = require('../transaction-checker')
+
+const donor = fixtures.donors[0].publicKey.toBase58()
+const recipient = fixtures.recipients[0].publicKey.toBase58()
+const stranger = fixtures.stranger.publicKey.toBase58()
+const dayAgo = () => new Date(Date.now() - 24 * 60 * 60 * 1000)
+
+/**
+ * A Helius API stub serving pages (arrays of enhanced transactions, or
+ * { status, body } responses) in order, and a Config pointed at it
+ */
+async function setup(t, pages, env = {}) {
+  const stub = await startHttpStub(t, () => {
+    const page = pages.shift() || []
+    return Array.isArray(page) ? { body: page } : page
+  })
+  useEnv(t, { HELIUS_API_KEY: 'test-key', HELIUS_API_URL: stub.url, ...env })
+  return { stub, config: new Config() }
+}
+
+test('finds a native transfer from a donor with one request', async (t) => {
+  const funding = fixtures.enhancedTransaction({ transfers: [{ from: donor, to: recipient, sol: 0.3 }], timestamp: fixtures.hoursAgo(2) })
+  const { stub, config } = await setup(t, [[
+    fixtures.enhancedTransaction({ transfers: [{ from: stranger, to: recipient, sol: 5 }] }),
+    funding
+  ]])
+
+  const result = await new HeliusHistory(config).findFunding(recipient, [donor], dayAgo())
+
+  assert.deepEqual(result, { signature: funding.signature, donor, amount: 0.3, blockTime: funding.timestamp })
+  assert.equal(stub.requests.length, 1)
+  const { url } = stub.requests[0]
+  assert.equal(url.pathname, `/v0/addresses/${recipient}/transactions`)
+  assert.equal(url.searchParams.get('api-key'), 'test-key')
+  assert.equal(url.searchParams.get('type'), 'TRANSFER')
+})
+
+test('stops at the lookback cutoff and skips failed or small transfers', async (t) => {
+  const { config } = await setup(t, [[
+    fixtures.enhancedTransaction({ transfers: [{ from: donor, to: recipient, sol: 1 }], error: 'InstructionError' }),
+    fixtures.enhancedTransaction({ transfers: [{ from: donor, to: recipient, sol: 0.01 }] }),
+    fixtures.enhancedTransaction({ transfers: [{ from: donor, to: recipient, sol: 1 }], timestamp: fixtures.hoursAgo(30) })
+  ]])
+
+  assert.equal(await new HeliusHistory(config).findFunding(recipient, [donor], dayAgo()), false)
+})
+
+test('pages with before, including through an empty search window', async (t) => {
+  const filler = Array.from({ length: 100 }, () => fixtures.enhancedTransaction({ transfers: [{ from: stranger, to: recipient, sol: 1 }] }))
+  const funding = fixtures.enhancedTransaction({ transfers: [{ from: donor, to: recipient, sol: 0.5 }], timestamp: fixtures.hoursAgo(5) })
+  const resumeFrom = fixtures.fakeSignature()
+  const { stub, config } = await setup(t, [
+    filler,
+    { status: 404, body: { error: `Failed to find events within the search period. To continue search, query the API again with the \`before\` parameter set to ${resumeFrom}.` } },
+    [funding]
+  ])
+
+  const result = await new HeliusHistory(config).findFunding(recipient, [donor], dayAgo())
+
+  assert.equal(result.signature, funding.signature)
+  assert.deepEqual(stub.requests.map(r => r.url.searchParams.get('before')), [null, filler[99].signature, resumeFrom])
+})
+
+test('is inconclusive when MAX_SIGNATURES_PER_WALLET runs out before the cutoff', async (t) => {
+  const page = () => Array.from({ length: 100 }, () => fixtures.enhancedTransaction({ transfers: [{ from: stranger, to: recipient, sol: 1 }] }))
+  const { stub, config } = await setup(t, [page(), page(), page()], { MAX_SIGNATURES_PER_WALLET: '200' })
+
+  const result = await new HeliusHistory(config).findFunding(recipient, [donor], dayAgo())
+
+  assert.equal(result.inconclusive, true)
+  assert.match(result.reason, /more than 200 transactions/)
+  assert.equal(stub.requests.length, 2)
+})
+
+test('adds up transfers with SUM_TRANSFERS_IN_WINDOW', async (t) => {
+  const { config } = await setup(t, [[
+    fixtures.enhancedTransaction({ transfers: [{ from: donor, to: recipient, sol: 0.06 }] }),
+    fixtures.enhancedTransaction({ transfers: [{ from: donor, to: recipient, sol: 0.06 }] })
+  ]], { SUM_TRANSFERS_IN_WINDOW: 'true' })
+
+  const result = await new HeliusHistory(config).findFunding(recipient, [donor], dayAgo())
+
+  assert.ok(Math.abs(result.amount - 0.12) < 1e-9)
+})
+
+test('reads token transfers of FUNDING_MINT', async (t) => {
+  const mint = fixtures.keypair(50).publicKey.toBase58()
+  const otherMint = fixtures.keypair(51).publicKey.toBase58()
+  const { config } = await setup(t, [[
+    fixtures.enhancedTransaction({ tokenTransfers: [{ from: donor, to: recipient, amount: 500, mint: otherMint }] }),
+    fixtures.enhancedTransaction({ tokenTransfers: [{ from: donor, to: recipient, amount: 25, mint }] })
+  ]], { FUNDING_MINT: mint, MIN_SOL_AMOUNT: '10' })
+
+  const result = await new HeliusHistory(config).findFunding(recipient, [donor], dayAgo())
+
+  assert.equal(result.amount, 25)
+})
+
+test('TransactionChecker falls back to the RPC scan when Helius fails', async (t) => {
+  const { config } = await setup(t, [{ status: 500, body: { error: 'internal' } }], { RPC_MAX_RETRIES: '0' })
+  const connection = new MockConnection()
+  const funding = fixtures.transferTransaction({ transfers: [{ from: donor, to: recipient, sol: 0.5 }], blockTime: fixtures.hoursAgo(1) })
+  connection.addTransaction(funding)
+  const checker = new TransactionChecker(config, { connection })
+
+  const result = await checker.checkRecipientFunding(recipient, [donor], dayAgo())
+
+  assert.ok(checker.history instanceof HeliusHistory)
+  assert.equal(result.signature, funding.transaction.signatures[0])
+  assert.equal(connection.callCount('getSignaturesForAddress'), 1)
+})
+
+test('a rejected key switches the rest of the run to the RPC', async (t) => {
+  const { stub, config } = await setup(t, [{ status: 401, body: { error: 'invalid api key' } }])
+  const checker = new TransactionChecker(config, { connection: new MockConnection() })
+
+  await checker.checkRecipientFunding(recipient, [donor], dayAgo())
+  await checker.checkRecipientFunding(recipient, [donor], dayAgo())
+
+  assert.equal(stub.requests.length, 1)
+  assert.equal(checker.history.disabled, 'HTTP 401')
+})
+
+test('HISTORY_BACKEND auto uses Helius only with a key on a Helius cluster', (t) => {
+  useEnv(t)
+  assert.equal(new Config().getHistoryBackend(), 'rpc')
+
+  process.env.HELIUS_API_KEY = 'key'
+  assert.equal(new Config().getHistoryBackend(), 'helius')
+
+  process.env.CLUSTER = 'localnet'
+  assert.equal(new Config().getHistoryBackend(), 'rpc')
+
+  process.env.HISTORY_BACKEND = 'helius'
+  assert.throws(() => new Config(), /Helius has no API for CLUSTER=localnet/)
+})
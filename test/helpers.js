@@ -0,0 +1,126 @@
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+
+// Tests only check results; the tool's progress output is noise (TEST_VERBOSE=true keeps it)
+if (process.env.TEST_VERBOSE !== 'true') {
+  console.log = () => {}
+  console.warn = () => {}
+}
+
+// Settings every test starts from, so a local .env can't change the outcome
+const TEST_ENV = {
+  HELIUS_API_KEY: '',
+  CLUSTER: 'mainnet',
+  RPC_URLS: '',
+  HISTORY_BACKEND: 'auto',
+  HELIUS_API_URL: '',
+  DONOR_MNEMONIC: '',
+  FUNDING_MINT: '',
+  STRICT_VALIDATION: 'false',
+  VALIDATION_REPORT_FILE: '',
+  POLICY_FILE: '',
+  MIN_SOL_AMOUNT: '0.1',
+  HOURS_LOOKBACK: '24',
+  FUNDING_AMOUNT_SOL: '0.5',
+  SUM_TRANSFERS_IN_WINDOW: 'false',
+  FUNDING_MODE: 'history',
+  TOPUP_TARGET_SOL: '0',
+  DRY_RUN: 'true',
+  MAX_FUNDING_OPERATIONS: '10',
+  DONOR_STRATEGY: 'round-robin',
+  RESERVE_SOL: '0',
+  MAX_TOTAL_SOL_PER_RUN: '0',
+  MAX_SOL_PER_24H: '0',
+  PRIORITY_FEE_MODE: 'none',
+  COMPUTE_UNIT_LIMIT: '0',
+  BATCH_TRANSFERS: 'false',
+  SEND_MAX_ATTEMPTS: '3',
+  SEND_REBROADCAST_INTERVAL_MS: '1',
+  SEND_CONFIRM_TIMEOUT_MS: '2000',
+  RPC_REQUESTS_PER_SECOND: '1000',
+  RPC_BURST: '0',
+  RPC_RETRY_BASE_MS: '1',
+  CHECK_CONCURRENCY: '5',
+  REPORT_FILE: '',
+  QUIET: 'false',
+  NOTIFY_WEBHOOK_URL: '',
+  NOTIFY_SLACK_WEBHOOK_URL: '',
+  NOTIFY_COMMAND: ''
+}
+
+/**
+ * A temporary directory, removed when the test ends
+ */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'funding-test-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+/**
+ * Set TEST_ENV plus overrides for one test; file paths point into a temp
+ * directory so nothing is written to the repo
+ * Returns the temp directory
+ */
+function useEnv(t, overrides = {}) {
+  const dir = tempDir(t)
+  const env = {
+    ...TEST_ENV,
+    DONORS_FILE: path.join(dir, 'donors.json'),
+    RECIPIENTS_FILE: path.join(dir, 'recipients.json'),
+    LEDGER_FILE: path.join(dir, 'ledger.jsonl'),
+    KEYSTORE_FILE: path.join(dir, 'keystore.json'),
+    LOCK_FILE: path.join(dir, 'funding.lock'),
+    ...overrides
+  }
+
+  const previous = {}
+  for (const [name, value] of Object.entries(env)) {
+    previous[name] = process.env[name]
+    process.env[name] = value
+  }
+  t.after(() => {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[name]
+      } else {
+        process.env[name] = value
+      }
+    }
+  })
+
+  return dir
+}
+
+/**
+ * A local HTTP server, closed when the test ends; handler(req, url, body)
+ * returns the { status, body } to answer with (body sent as JSON)
+ * Resolves to { url, requests } with every request received
+ */
+async function startHttpStub(t, handler) {
+  const requests = []
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', chunk => { body += chunk })
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost')
+      requests.push({ method: req.method, url, body })
+      const response = await handler(req, url, body)
+      res.writeHead(response.status || 200, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify(response.body))
+    })
+  })
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  t.after(() => new Promise(resolve => server.close(resolve)))
+  return { url: `http://127.0.0.1:${server.address().port}`, requests }
+}
+
+function writeJson(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2))
+  return filePath
+}
+
+module.exports = { TEST_ENV, tempDir, useEnv, startHttpStub, writeJson }
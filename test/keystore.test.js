@@ -0,0 +1,79 @@
+const fs = require('fs')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { default: bs58 } = require('bs58')
+const { useEnv, writeJson } = require('./helpers')
+const fixtures = require('./fixtures')
+const Config = require('../config')
+const Keystore = require('../keystore')
+const WalletFunder = require('../wallet-funder')
+const { main } = require('../index')
+
+const [donor, otherDonor] = fixtures.donors
+
+/**
+ * A saved keystore holding the first donor's key, with cheap scrypt
+ * parameters so the tests don't spend a second per unlock
+ */
+async function createKeystore(t, passphrase = 'correct horse') {
+  useEnv(t)
+  const keystore = new Keystore(process.env.KEYSTORE_FILE)
+  keystore.data.kdf.N = 1024
+  await keystore.unlock(passphrase)
+  keystore.add(donor.secretKey, 'Donor 1')
+  keystore.save()
+  return process.env.KEYSTORE_FILE
+}
+
+test('keystore import and export round-trip a donor key', async (t) => {
+  const dir = useEnv(t, { KEYSTORE_PASSPHRASE: 'correct horse' })
+  const donorsFile = writeJson(`${dir}/keyed-donors.json`, fixtures.donorRows())
+
+  await main(['node', 'index.js', 'keystore', 'import', donorsFile])
+
+  const saved = fs.readFileSync(process.env.KEYSTORE_FILE, 'utf8')
+  assert.ok(!saved.includes(bs58.encode(donor.secretKey)))
+  assert.deepEqual(new Keystore(process.env.KEYSTORE_FILE).list().map(e => [e.address, e.label]), [
+    [donor.publicKey.toBase58(), 'Donor 1'],
+    [otherDonor.publicKey.toBase58(), 'Donor 2']
+  ])
+
+  let output = ''
+  t.mock.method(process.stdout, 'write', text => { output += text })
+  t.mock.method(console, 'error', () => {})
+  await main(['node', 'index.js', 'keystore', 'export', otherDonor.publicKey.toBase58()])
+  t.mock.restoreAll()
+
+  assert.equal(output, bs58.encode(otherDonor.secretKey) + '\n')
+})
+
+test('unlock rejects a wrong passphrase', async (t) => {
+  const file = await createKeystore(t)
+
+  await assert.rejects(() => new Keystore(file).unlock('wrong horse'), /Wrong keystore passphrase/)
+  assert.equal((await new Keystore(file).unlock('correct horse')).getKeypair(donor.publicKey.toBase58()).publicKey.toBase58(), donor.publicKey.toBase58())
+})
+
+test('a ciphertext copied to another address fails authentication', async (t) => {
+  const file = await createKeystore(t)
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'))
+  data.keys.push({ ...data.keys[0], address: otherDonor.publicKey.toBase58() })
+  writeJson(file, data)
+
+  const keystore = await new Keystore(file).unlock('correct horse')
+
+  assert.throws(() => keystore.getKeypair(otherDonor.publicKey.toBase58()), /unable to authenticate data/)
+})
+
+test('getDonorKeypair takes keys from the keystore', async (t) => {
+  const file = await createKeystore(t)
+  const keystore = await new Keystore(file).unlock('correct horse')
+  const address = donor.publicKey.toBase58()
+
+  const funder = new WalletFunder(new Config(), { keystore, connection: {} })
+
+  assert.equal(funder.getDonorKeypair({ address }).publicKey.toBase58(), address)
+  assert.equal(funder.getDonorKeypair({ address, privateKey: `keystore:${address}` }).publicKey.toBase58(), address)
+  assert.throws(() => funder.getDonorKeypair({ address: otherDonor.publicKey.toBase58() }), /No keystore entry/)
+  assert.throws(() => new WalletFunder(new Config(), { connection: {} }).getDonorKeypair({ address }), /no keystore is open/)
+})
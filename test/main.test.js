@@ -0,0 +1,231 @@
+const fs = require('fs')
+const path = require('path')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { useEnv, writeJson } = require('./helpers')
+const fixtures = require('./fixtures')
+const MockConnection = require('./mock-connection')
+const LockFile = require('../lock-file')
+const { main } = require('../index')
+
+const donors = fixtures.donorRows()
+const recipients = fixtures.recipientRows()
+
+/**
+ * Donor and recipient files in a temp directory, and a mock chain where the
+ * first recipient was funded an hour ago and every donor holds 5 SOL
+ */
+function setup(t, env = {}) {
+  const dir = useEnv(t, env)
+  writeJson(process.env.DONORS_FILE, donors)
+  writeJson(process.env.RECIPIENTS_FILE, recipients)
+
+  const connection = new MockConnection()
+  for (const donor of donors) {
+    connection.setBalance(donor.address, 5)
+  }
+  connection.addTransaction(fixtures.transferTransaction({
+    transfers: [{ from: donors[0].address, to: recipients[0].address, sol: 0.5 }],
+    blockTime: fixtures.hoursAgo(1)
+  }))
+
+  return { dir, connection, reportFile: path.join(dir, 'report.json') }
+}
+
+function run(connection, ...args) {
+  return main(['node', 'index.js', ...args], { connection })
+}
+
+function readLedger() {
+  return fs.readFileSync(process.env.LEDGER_FILE, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+}
+
+test('fund --execute funds only the unfunded recipients and reports it', async (t) => {
+  const { connection, reportFile } = setup(t)
+
+  await run(connection, '--execute', '--report', reportFile)
+
+  assert.equal(connection.sent.length, 2)
+  assert.equal(connection.getSol(recipients[0].address), 0)
+  assert.equal(connection.getSol(recipients[1].address), 0.5)
+  assert.equal(connection.getSol(recipients[2].address), 0.5)
+
+  const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'))
+  assert.equal(report.dryRun, false)
+  assert.equal(report.summary.needingFunds, 2)
+  assert.equal(report.summary.successful, 2)
+  assert.deepEqual(report.recipients.map(r => r.status), ['funded', 'unfunded', 'unfunded'])
+  assert.deepEqual(report.transfers.map(r => r.status), ['success', 'success'])
+
+  const confirmed = readLedger().filter(entry => entry.status === 'confirmed')
+  assert.deepEqual(confirmed.map(entry => entry.recipient), [recipients[1].address, recipients[2].address])
+})
+
+test('a second fund run skips recipients the ledger already covers', async (t) => {
+  const { connection, reportFile } = setup(t)
+
+  await run(connection, '--execute')
+  await run(connection, '--execute', '--report', reportFile)
+
+  assert.equal(connection.sent.length, 2)
+  const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'))
+  assert.equal(report.summary.skippedByLedger, 2)
+  assert.equal(report.summary.successful, 0)
+})
+
+test('fund skips a recipient whose history is too long to check, and reports it', async (t) => {
+  const { connection, reportFile } = setup(t, { MAX_SIGNATURES_PER_WALLET: '3' })
+  for (let i = 0; i < 5; i++) {
+    connection.addTransaction(fixtures.transferTransaction({ transfers: [{ from: fixtures.stranger.publicKey.toBase58(), to: recipients[1].address, sol: 0.001 }], blockTime: fixtures.hoursAgo(1) }))
+  }
+
+  await run(connection, '--execute', '--report', reportFile)
+
+  assert.equal(connection.getSol(recipients[1].address), 0)
+  assert.equal(connection.getSol(recipients[2].address), 0.5)
+  const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'))
+  assert.deepEqual(report.recipients.map(r => r.status), ['funded', 'inconclusive', 'unfunded'])
+  assert.match(report.recipients[1].error, /more than 3 transactions/)
+  assert.deepEqual(report.transfers.map(r => r.recipient), [recipients[2].address])
+})
+
+test('fund without --execute follows DRY_RUN and sends nothing', async (t) => {
+  const { connection, reportFile } = setup(t)
+
+  await run(connection, '--report', reportFile)
+
+  assert.equal(connection.callCount('sendRawTransaction'), 0)
+  const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'))
+  assert.equal(report.dryRun, true)
+  assert.deepEqual(report.transfers.map(r => r.status), ['dry-run', 'dry-run'])
+})
+
+test('check lists the recipients needing funds', async (t) => {
+  const { connection, reportFile } = setup(t)
+
+  await run(connection, 'check', '--report', reportFile)
+
+  const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'))
+  assert.equal(report.command, 'check')
+  assert.deepEqual(report.recipients.filter(r => r.status === 'unfunded').map(r => r.address), [recipients[1].address, recipients[2].address])
+  assert.equal(connection.callCount('sendRawTransaction'), 0)
+})
+
+test('plan works from donor addresses alone, and execute sends the plan with the keys', async (t) => {
+  const { dir, connection } = setup(t)
+  const planFile = path.join(dir, 'plan.json')
+  // The planner's copy of the donor file has no keys, and there is no keystore
+  writeJson(process.env.DONORS_FILE, donors.map(({ address, label }) => ({ address, label })))
+
+  await run(connection, 'plan', '--out', planFile)
+
+  const plan = JSON.parse(fs.readFileSync(planFile, 'utf8'))
+  assert.deepEqual(plan.transfers.map(t => [t.donor, t.recipient]), [
+    [donors[0].address, recipients[1].address],
+    [donors[1].address, recipients[2].address]
+  ])
+  assert.equal(connection.callCount('sendRawTransaction'), 0)
+
+  writeJson(process.env.DONORS_FILE, donors)
+  await run(connection, 'execute', planFile, '--execute')
+
+  assert.equal(connection.getSol(recipients[1].address), 0.5)
+  assert.equal(connection.getSol(recipients[2].address), 0.5)
+})
+
+test('errors exit with status 1', async (t) => {
+  const { connection } = setup(t)
+  fs.rmSync(process.env.RECIPIENTS_FILE)
+  const exit = t.mock.method(process, 'exit', () => {})
+  const error = t.mock.method(console, 'error', () => {})
+
+  await run(connection, '--execute')
+
+  assert.deepEqual(exit.mock.calls.map(call => call.arguments), [[1]])
+  assert.ok(error.mock.calls.some(call => /File not found/.test(call.arguments.join(' '))))
+  assert.equal(connection.sent.length, 0)
+})
+
+test('fund refuses to start while another run holds the lock', async (t) => {
+  const { connection } = setup(t)
+  const other = new LockFile(process.env.LOCK_FILE)
+  other.acquire('watch')
+  t.after(() => other.release())
+  const exit = t.mock.method(process, 'exit', () => {})
+  const error = t.mock.method(console, 'error', () => {})
+
+  await run(connection, '--execute')
+
+  assert.deepEqual(exit.mock.calls.map(call => call.arguments), [[1]])
+  assert.ok(error.mock.calls.some(call => /Another funding run is in progress \(pid \d+/.test(call.arguments.join(' '))))
+  assert.equal(connection.sent.length, 0)
+})
+
+test('validate writes every rejected row to the validation report and exits with status 1', async (t) => {
+  const { dir, connection } = setup(t)
+  const reportFile = path.join(dir, 'validation.json')
+  writeJson(process.env.RECIPIENTS_FILE, [...recipients, recipients[0], donors[0].address])
+  const exit = t.mock.method(process, 'exit', () => {})
+  t.mock.method(console, 'error', () => {})
+
+  await run(connection, 'validate', '--validation-report', reportFile)
+
+  const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'))
+  assert.deepEqual(report.rejected.map(r => [r.item, r.reason]), [[4, 'duplicate of line 2']])
+  assert.deepEqual(report.warnings.map(w => [w.item, w.reason]), [[5, 'recipient is also a donor']])
+  assert.deepEqual(exit.mock.calls.map(call => call.arguments), [[1]])
+  assert.equal(connection.calls.length, 0)
+})
+
+/**
+ * Donors in two pools and recipients in two groups, with a policy giving
+ * each group its own donors and funding amount
+ */
+function setupPolicy(t, env = {}) {
+  const context = setup(t, env)
+  writeJson(process.env.DONORS_FILE, [{ ...donors[0], tags: 'mm-pool' }, { ...donors[1], group: 'bots' }])
+  writeJson(process.env.RECIPIENTS_FILE, [
+    { ...recipients[0], group: 'market-makers' },
+    { ...recipients[1], tags: ['vip', 'market-makers'] },
+    { ...recipients[2], group: 'bots' }
+  ])
+  process.env.POLICY_FILE = path.join(context.dir, 'policy.yaml')
+  fs.writeFileSync(process.env.POLICY_FILE, [
+    'groups:',
+    '  market-makers:',
+    '    donors: [mm-pool]',
+    '    funding_amount: 1',
+    '  bots:',
+    '    donors: [bots]',
+    '    funding_amount: 0.2'
+  ].join('\n'))
+  return context
+}
+
+test('fund with a policy funds each group from its own donors and sums up the groups', async (t) => {
+  const { connection, reportFile } = setupPolicy(t)
+
+  await run(connection, '--execute', '--report', reportFile)
+
+  assert.equal(connection.getSol(recipients[1].address), 1)
+  assert.equal(connection.getSol(recipients[2].address), 0.2)
+  const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'))
+  assert.deepEqual(report.transfers.map(r => [r.recipient, r.donor, r.amount]), [
+    [recipients[1].address, donors[0].address, 1],
+    [recipients[2].address, donors[1].address, 0.2]
+  ])
+  assert.equal(report.summary.successful, 2)
+  assert.equal(report.summary.unassigned, 0)
+  assert.deepEqual(report.summary.groups.map(g => [g.group, g.checked, g.needingFunds, g.successful]), [['market-makers', 2, 1, 1], ['bots', 1, 1, 1]])
+  assert.deepEqual(report.recipients.map(r => r.status), ['funded', 'unfunded', 'unfunded'])
+})
+
+test('MAX_TOTAL_SOL_PER_RUN covers every group of the run', async (t) => {
+  const { connection, reportFile } = setupPolicy(t, { MAX_TOTAL_SOL_PER_RUN: '1.1' })
+
+  await run(connection, '--execute', '--report', reportFile)
+
+  assert.equal(connection.sent.length, 1)
+  const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'))
+  assert.match(report.summary.stoppedReason, /MAX_TOTAL_SOL_PER_RUN reached \(1\.000000 of 1\.1/)
+})
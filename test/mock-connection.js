@@ -0,0 +1,278 @@
+const { Transaction, SystemProgram, SystemInstruction, LAMPORTS_PER_SOL } = require('@solana/web3.js')
+const { default: bs58 } = require('bs58')
+const { transferTransaction } = require('./fixtures')
+
+// Blocks a blockhash stays valid for, like mainnet
+const BLOCKHASH_VALIDITY = 150
+
+class MockConnection {
+  /**
+   * In-process stand-in for @solana/web3.js Connection, serving fixed responses
+   * Balances and transactions are set up by the test; sent transactions are
+   * decoded, their SOL transfers applied to the balances and added to history,
+   * so a later check sees them like a real RPC would
+   */
+  constructor() {
+    this.balances = new Map() // address -> lamports
+    this.accounts = new Map() // address -> account info, for accounts that aren't plain wallets
+    this.transactions = new Map() // signature -> parsed transaction
+    this.history = new Map() // address -> signature infos, newest first
+    this.sent = [] // [{ signature, transaction }] in the order they were sent
+    this.calls = [] // method names in the order they were called
+    this.failures = new Map() // method -> errors to throw from its next calls
+    this.slot = 1000
+    this.blockHeight = 1000
+    this.blockhashCount = 0
+    this.prioritizationFees = []
+    this.logListeners = new Map() // subscription id -> { address, callback }
+    this.slotListeners = new Map() // subscription id -> callback
+    this.subscriptionCount = 0
+  }
+
+  setBalance(address, sol) {
+    this.balances.set(address.toString(), Math.round(sol * LAMPORTS_PER_SOL))
+  }
+
+  /**
+   * Serve a fixed account (e.g. fixtures.mintAccount()) from the account info calls
+   */
+  setAccount(address, info) {
+    this.accounts.set(address.toString(), info)
+  }
+
+  getSol(address) {
+    return (this.balances.get(address.toString()) || 0) / LAMPORTS_PER_SOL
+  }
+
+  /**
+   * Add a parsed transaction (see fixtures.transferTransaction) to the
+   * history of every account it mentions
+   */
+  addTransaction(transaction) {
+    const signature = transaction.transaction.signatures[0]
+    this.transactions.set(signature, transaction)
+
+    const info = {
+      signature,
+      slot: transaction.slot,
+      blockTime: transaction.blockTime,
+      err: transaction.meta.err,
+      memo: null,
+      confirmationStatus: 'finalized'
+    }
+    for (const { pubkey } of transaction.transaction.message.accountKeys) {
+      const address = pubkey.toString()
+      const history = this.history.get(address) || []
+      history.push(info)
+      history.sort((a, b) => b.blockTime - a.blockTime)
+      this.history.set(address, history)
+    }
+    return signature
+  }
+
+  /**
+   * Make the next call to method throw error (queued, one per call)
+   */
+  failNext(method, error) {
+    const queue = this.failures.get(method) || []
+    queue.push(error)
+    this.failures.set(method, queue)
+  }
+
+  callCount(method) {
+    return this.calls.filter(call => call === method).length
+  }
+
+  record(method) {
+    this.calls.push(method)
+    const queue = this.failures.get(method)
+    if (queue && queue.length > 0) {
+      throw queue.shift()
+    }
+  }
+
+  async getBalance(publicKey) {
+    this.record('getBalance')
+    return this.balances.get(publicKey.toString()) || 0
+  }
+
+  async getAccountInfo(publicKey) {
+    this.record('getAccountInfo')
+    return this.accountInfo(publicKey)
+  }
+
+  async getMultipleAccountsInfo(publicKeys) {
+    this.record('getMultipleAccountsInfo')
+    return publicKeys.map(publicKey => this.accountInfo(publicKey))
+  }
+
+  accountInfo(publicKey) {
+    if (this.accounts.has(publicKey.toString())) {
+      return this.accounts.get(publicKey.toString())
+    }
+    const lamports = this.balances.get(publicKey.toString())
+    if (lamports === undefined) {
+      return null
+    }
+    return { lamports, owner: SystemProgram.programId, data: Buffer.alloc(0), executable: false, rentEpoch: 0 }
+  }
+
+  async getSignaturesForAddress(publicKey, options = {}) {
+    this.record('getSignaturesForAddress')
+    let history = this.history.get(publicKey.toString()) || []
+    if (options.before) {
+      history = history.slice(history.findIndex(info => info.signature === options.before) + 1)
+    }
+    return history.slice(0, options.limit || 1000)
+  }
+
+  // Fixture transactions are already in jsonParsed form, which is all the tool reads
+  async getTransaction(signature) {
+    this.record('getTransaction')
+    return this.transactions.get(signature) || null
+  }
+
+  async getParsedTransaction(signature) {
+    this.record('getParsedTransaction')
+    return this.transactions.get(signature) || null
+  }
+
+  async getParsedTransactions(signatures) {
+    this.record('getParsedTransactions')
+    return signatures.map(signature => this.transactions.get(signature) || null)
+  }
+
+  async getLatestBlockhash() {
+    this.record('getLatestBlockhash')
+    const bytes = Buffer.alloc(32)
+    bytes.writeUInt32BE(++this.blockhashCount, 28)
+    return { blockhash: bs58.encode(bytes), lastValidBlockHeight: this.blockHeight + BLOCKHASH_VALIDITY }
+  }
+
+  async getSlot() {
+    this.record('getSlot')
+    return this.slot
+  }
+
+  async getBlockHeight() {
+    this.record('getBlockHeight')
+    return this.blockHeight
+  }
+
+  async getRecentPrioritizationFees() {
+    this.record('getRecentPrioritizationFees')
+    return this.prioritizationFees
+  }
+
+  async getMinimumBalanceForRentExemption(size) {
+    this.record('getMinimumBalanceForRentExemption')
+    return (128 + size) * 3480 * 2
+  }
+
+  async getFeeForMessage() {
+    this.record('getFeeForMessage')
+    return { context: { slot: 1000 }, value: 5000 }
+  }
+
+  /**
+   * Sign with a fresh blockhash, then send like sendRawTransaction
+   */
+  async sendTransaction(transaction, signers) {
+    const { blockhash } = await this.getLatestBlockhash()
+    transaction.recentBlockhash = blockhash
+    transaction.feePayer = transaction.feePayer || signers[0].publicKey
+    transaction.sign(...signers)
+    return this.sendRawTransaction(transaction.serialize())
+  }
+
+  /**
+   * Land the transaction at once: apply its SOL transfers and add it to history
+   * Rebroadcasts of a signature that already landed are ignored
+   */
+  async sendRawTransaction(rawTransaction) {
+    this.record('sendRawTransaction')
+    const transaction = Transaction.from(rawTransaction)
+    const signature = bs58.encode(transaction.signature)
+    if (this.transactions.has(signature)) {
+      return signature
+    }
+
+    const transfers = transaction.instructions
+      .filter(instruction => instruction.programId.equals(SystemProgram.programId))
+      .filter(instruction => SystemInstruction.decodeInstructionType(instruction) === 'Transfer')
+      .map(instruction => SystemInstruction.decodeTransfer(instruction))
+      .map(({ fromPubkey, toPubkey, lamports }) => ({ from: fromPubkey.toBase58(), to: toPubkey.toBase58(), sol: Number(lamports) / LAMPORTS_PER_SOL }))
+
+    for (const { from, to, sol } of transfers) {
+      const lamports = Math.round(sol * LAMPORTS_PER_SOL)
+      this.balances.set(from, (this.balances.get(from) || 0) - lamports)
+      this.balances.set(to, (this.balances.get(to) || 0) + lamports)
+    }
+
+    this.sent.push({ signature, transaction })
+    this.addTransaction(transferTransaction({ transfers, signature, slot: this.blockHeight }))
+    return signature
+  }
+
+  onLogs(address, callback) {
+    this.record('onLogs')
+    const id = ++this.subscriptionCount
+    this.logListeners.set(id, { address: address.toString(), callback })
+    return id
+  }
+
+  async removeOnLogsListener(id) {
+    this.record('removeOnLogsListener')
+    this.logListeners.delete(id)
+  }
+
+  onSlotChange(callback) {
+    this.record('onSlotChange')
+    const id = ++this.subscriptionCount
+    this.slotListeners.set(id, callback)
+    return id
+  }
+
+  async removeSlotChangeListener(id) {
+    this.record('removeSlotChangeListener')
+    this.slotListeners.delete(id)
+  }
+
+  /**
+   * Deliver a slot notification to every slot subscriber
+   */
+  emitSlot() {
+    this.slot++
+    for (const callback of this.slotListeners.values()) {
+      callback({ slot: this.slot, parent: this.slot - 1, root: this.slot - 32 })
+    }
+  }
+
+  /**
+   * Deliver a log notification for a transaction (see addTransaction) to the
+   * subscribers of the accounts it mentions; resolves once they've handled it
+   */
+  async emitLogs(signature) {
+    const transaction = this.transactions.get(signature)
+    const addresses = transaction.transaction.message.accountKeys.map(({ pubkey }) => pubkey.toString())
+    const handlers = [...this.logListeners.values()]
+      .filter(listener => addresses.includes(listener.address))
+      .map(listener => listener.callback({ signature, err: transaction.meta.err, logs: [] }, { slot: transaction.slot }))
+    await Promise.all(handlers)
+  }
+
+  async getSignatureStatuses(signatures) {
+    this.record('getSignatureStatuses')
+    return {
+      context: { slot: this.blockHeight },
+      value: signatures.map(signature => {
+        const transaction = this.transactions.get(signature)
+        return transaction
+          ? { slot: transaction.slot, confirmations: null, err: transaction.meta.err, confirmationStatus: 'confirmed' }
+          : null
+      })
+    }
+  }
+}
+
+module.exports = MockConnection
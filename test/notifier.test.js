@@ -0,0 +1,142 @@
+const fs = require('fs')
+const path = require('path')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { SendTransactionError } = require('@solana/web3.js')
+const { useEnv, startHttpStub } = require('./helpers')
+const fixtures = require('./fixtures')
+const MockConnection = require('./mock-connection')
+const Config = require('../config')
+const Notifier = require('../notifier')
+const WalletFunder = require('../wallet-funder')
+
+const summary = { successful: 2, failed: 1, skipped: 0, stoppedReason: null }
+
+/**
+ * A webhook stub answering every request with status, and a Notifier whose
+ * env points at it
+ */
+async function setup(t, env = {}, status = 200) {
+  const stub = await startHttpStub(t, () => ({ status, body: { ok: status === 200 } }))
+  useEnv(t, typeof env === 'function' ? env(stub.url) : env)
+  return { stub, notifier: new Notifier(new Config()) }
+}
+
+/**
+ * A funder on a mock chain (every donor holding 5 SOL) that reports to notifier
+ */
+function createFunder(notifier) {
+  const connection = new MockConnection()
+  const donors = fixtures.donorRows()
+  const recipients = fixtures.recipientRows().map(row => ({ address: row.address }))
+  for (const donor of donors) {
+    connection.setBalance(donor.address, 5)
+  }
+  const funder = new WalletFunder(notifier.config, { connection, notifier })
+  return { funder, connection, donors, recipients }
+}
+
+function sendFailure() {
+  return new SendTransactionError({ action: 'send', signature: '', transactionMessage: 'Attempt to debit an account but found no record of a prior credit' })
+}
+
+test('the webhook gets the JSON payload of an event', async (t) => {
+  const { stub, notifier } = await setup(t, url => ({ NOTIFY_WEBHOOK_URL: `${url}/hook` }))
+
+  await notifier.notify('run_complete', { runId: 'run-1', command: 'fund', summary })
+
+  assert.equal(stub.requests.length, 1)
+  const { method, url, body } = stub.requests[0]
+  assert.equal(method, 'POST')
+  assert.equal(url.pathname, '/hook')
+  const payload = JSON.parse(body)
+  assert.equal(payload.event, 'run_complete')
+  assert.equal(payload.runId, 'run-1')
+  assert.equal(payload.dryRun, true)
+  assert.equal(payload.unit, 'SOL')
+  assert.deepEqual(payload.data.summary, summary)
+  assert.equal(payload.message, '[DRY RUN] ✅ Funding run run-1 (fund) finished: 2 funded, 1 failed, 0 skipped.')
+})
+
+test('Slack gets the message as text, listing at most five transfers', async (t) => {
+  const { stub, notifier } = await setup(t, url => ({ NOTIFY_SLACK_WEBHOOK_URL: url, DRY_RUN: 'false' }))
+  const transfers = Array.from({ length: 7 }, (_, i) => ({
+    recipient: fixtures.keypair(60 + i).publicKey.toBase58(),
+    label: i === 0 ? 'mm-1' : null,
+    amountSol: 0.5,
+    error: 'blockhash expired'
+  }))
+
+  await notifier.notify('transfer_failed', { runId: 'run-2', transfers })
+
+  const { text } = JSON.parse(stub.requests[0].body)
+  const lines = text.split('\n')
+  assert.equal(lines[0], `❌ ${transfers.length} transfers failed in run run-2:`)
+  assert.equal(lines[1], `• ${transfers[0].recipient} (mm-1): 0.5 SOL - blockhash expired`)
+  assert.equal(lines.filter(line => line.startsWith('• ')).length, 5)
+  assert.equal(lines[lines.length - 1], `…and ${transfers.length - 5} more`)
+})
+
+test('NOTIFY_COMMAND gets the payload on stdin and the event in its environment', async (t) => {
+  const dir = useEnv(t)
+  const payloadFile = path.join(dir, 'payload.json')
+  const eventFile = path.join(dir, 'event.txt')
+  process.env.NOTIFY_COMMAND = `printf '%s' "$NOTIFY_EVENT" > "${eventFile}" && cat > "${payloadFile}"`
+  const notifier = new Notifier(new Config())
+
+  await notifier.notify('run_failed', { command: 'watch', error: 'RPC unreachable' })
+
+  assert.equal(fs.readFileSync(eventFile, 'utf8'), 'run_failed')
+  const payload = JSON.parse(fs.readFileSync(payloadFile, 'utf8'))
+  assert.equal(payload.message, '[DRY RUN] ❌ Funding run (watch) failed: RPC unreachable')
+  assert.deepEqual(payload.data, { command: 'watch', error: 'RPC unreachable' })
+})
+
+test('events left out of NOTIFY_EVENTS are not sent', async (t) => {
+  const { stub, notifier } = await setup(t, url => ({ NOTIFY_WEBHOOK_URL: url, NOTIFY_EVENTS: 'run_failed' }))
+
+  await notifier.notify('run_complete', { command: 'fund', summary })
+  await notifier.notify('run_failed', { command: 'fund', error: 'boom' })
+
+  assert.deepEqual(stub.requests.map(r => JSON.parse(r.body).event), ['run_failed'])
+})
+
+test('transfer_failed waits for NOTIFY_MIN_FAILED_TRANSFERS failures', async (t) => {
+  const { stub, notifier } = await setup(t, url => ({ NOTIFY_WEBHOOK_URL: url, NOTIFY_EVENTS: 'transfer_failed', NOTIFY_MIN_FAILED_TRANSFERS: '2', DRY_RUN: 'false' }))
+  const { funder, connection, donors, recipients } = createFunder(notifier)
+
+  connection.failNext('sendRawTransaction', sendFailure())
+  const below = await funder.fundWallets(recipients.slice(0, 2), donors)
+  assert.equal(below.failed, 1)
+  assert.equal(stub.requests.length, 0)
+
+  connection.failNext('sendRawTransaction', sendFailure())
+  connection.failNext('sendRawTransaction', sendFailure())
+  const reached = await funder.fundWallets(recipients.slice(1), donors)
+  assert.equal(reached.failed, 2)
+  assert.equal(stub.requests.length, 1)
+  assert.equal(JSON.parse(stub.requests[0].body).data.transfers.length, 2)
+})
+
+test('low_donor_balance lists only the donors left below NOTIFY_LOW_DONOR_BALANCE', async (t) => {
+  const { stub, notifier } = await setup(t, url => ({ NOTIFY_WEBHOOK_URL: url, NOTIFY_EVENTS: 'low_donor_balance', NOTIFY_LOW_DONOR_BALANCE: '4.2', DRY_RUN: 'false' }))
+  const { funder, donors, recipients } = createFunder(notifier)
+
+  // Round-robin: the first donor sends two transfers (down to 4 SOL), the second one (4.5 SOL)
+  await funder.fundWallets(recipients, donors)
+
+  assert.equal(stub.requests.length, 1)
+  const { data } = JSON.parse(stub.requests[0].body)
+  assert.deepEqual(data.donors.map(d => d.address), [donors[0].address])
+})
+
+test('a failing endpoint is logged and does not fail the run', async (t) => {
+  const { stub, notifier } = await setup(t, url => ({ NOTIFY_WEBHOOK_URL: url, DRY_RUN: 'false' }), 500)
+  const { funder, donors, recipients } = createFunder(notifier)
+
+  await notifier.notify('run_failed', { command: 'fund', error: 'boom' })
+  const results = await funder.fundWallets(recipients, donors)
+
+  assert.equal(results.success, 3)
+  assert.ok(stub.requests.length > 0)
+})
@@ -0,0 +1,27 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { useEnv } = require('./helpers')
+const fixtures = require('./fixtures')
+const MockConnection = require('./mock-connection')
+const Config = require('../config')
+const PriorityFees = require('../priority-fees')
+
+const [busyDonor, quietDonor] = fixtures.donors.map(kp => kp.publicKey)
+
+test('auto fees are cached per set of writable accounts', async (t) => {
+  useEnv(t, { PRIORITY_FEE_MODE: 'auto', PRIORITY_FEE_PERCENTILE: '50' })
+  const connection = new MockConnection()
+  const requests = t.mock.method(connection, 'getRecentPrioritizationFees', async ({ lockedWritableAccounts }) => {
+    const fee = lockedWritableAccounts[0].equals(busyDonor) ? 90000 : 100
+    return [{ slot: 1, prioritizationFee: fee }]
+  })
+  const fees = new PriorityFees(new Config(), connection)
+
+  assert.equal(await fees.getMicroLamportsPerComputeUnit([busyDonor]), 90000)
+  assert.equal(await fees.getMicroLamportsPerComputeUnit([quietDonor]), 100)
+  assert.equal(await fees.getMicroLamportsPerComputeUnit([busyDonor]), 90000)
+  assert.equal(await fees.getMicroLamportsPerComputeUnit([quietDonor]), 100)
+
+  // Each account set was only estimated once
+  assert.equal(requests.mock.callCount(), 2)
+})
@@ -0,0 +1,85 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { useEnv } = require('./helpers')
+const fixtures = require('./fixtures')
+const MockConnection = require('./mock-connection')
+const Config = require('../config')
+const RateLimiter = require('../rate-limiter')
+const TransactionChecker = require('../transaction-checker')
+
+const address = fixtures.recipients[0].publicKey
+
+// Let pending promises run (setImmediate is never mocked here)
+const settle = () => new Promise(resolve => setImmediate(resolve))
+
+test('the bucket allows a burst, then refills at the configured rate', async (t) => {
+  useEnv(t, { RPC_REQUESTS_PER_SECOND: '2', RPC_BURST: '2' })
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] })
+  const limiter = new RateLimiter(new Config())
+
+  await limiter.acquire()
+  await limiter.acquire()
+  let acquired = false
+  const pending = limiter.acquire().then(() => { acquired = true })
+
+  await settle()
+  assert.equal(acquired, false)
+  t.mock.timers.tick(499)
+  await settle()
+  assert.equal(acquired, false)
+
+  // One request per 500ms at 2 requests/s
+  t.mock.timers.tick(1)
+  await pending
+  assert.equal(acquired, true)
+})
+
+test('RPC calls are retried after a 429 and other errors are thrown at once', async (t) => {
+  useEnv(t, { RPC_MAX_RETRIES: '2', RPC_RETRY_BASE_MS: '0' })
+  const connection = new MockConnection()
+  connection.setBalance(address, 1)
+  const limited = new RateLimiter(new Config()).wrapConnection(connection)
+  const tooManyRequests = () => new Error('Server responded with 429 Too Many Requests')
+
+  connection.failNext('getBalance', tooManyRequests())
+  connection.failNext('getBalance', tooManyRequests())
+  assert.equal(await limited.getBalance(address), 1e9)
+  assert.equal(connection.callCount('getBalance'), 3)
+
+  // Out of retries
+  for (let i = 0; i < 3; i++) {
+    connection.failNext('getBalance', tooManyRequests())
+  }
+  await assert.rejects(limited.getBalance(address), /429/)
+  assert.equal(connection.callCount('getBalance'), 6)
+
+  connection.failNext('getBalance', new Error('Invalid param: WrongSize'))
+  await assert.rejects(limited.getBalance(address), /WrongSize/)
+  assert.equal(connection.callCount('getBalance'), 7)
+})
+
+test('recipient checks run at most CHECK_CONCURRENCY at a time', async (t) => {
+  useEnv(t, { CHECK_CONCURRENCY: '2', RPC_REQUESTS_PER_SECOND: '1000' })
+  const config = new Config()
+  const connection = new MockConnection()
+  const recipients = Array.from({ length: 5 }, (_, i) => ({ address: fixtures.keypair(70 + i).publicKey.toBase58() }))
+
+  let inFlight = 0
+  let maxInFlight = 0
+  const getSignaturesForAddress = connection.getSignaturesForAddress.bind(connection)
+  connection.getSignaturesForAddress = async (...args) => {
+    inFlight++
+    maxInFlight = Math.max(maxInFlight, inFlight)
+    await settle()
+    inFlight--
+    return getSignaturesForAddress(...args)
+  }
+  const rateLimiter = new RateLimiter(config)
+  const checker = new TransactionChecker(config, { rateLimiter, connection: rateLimiter.wrapConnection(connection), history: null, announce: false })
+
+  const unfunded = await checker.findUnfundedRecipients(fixtures.donorRows(), recipients)
+
+  assert.equal(unfunded.length, recipients.length)
+  assert.equal(connection.callCount('getSignaturesForAddress'), recipients.length)
+  assert.equal(maxInFlight, 2)
+})
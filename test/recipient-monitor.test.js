@@ -0,0 +1,113 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { useEnv } = require('./helpers')
+const fixtures = require('./fixtures')
+const MockConnection = require('./mock-connection')
+const Config = require('../config')
+const TransactionChecker = require('../transaction-checker')
+const RecipientMonitor = require('../recipient-monitor')
+
+const donors = fixtures.donorRows()
+const recipients = fixtures.recipientRows()
+
+/**
+ * A monitor on a mock chain where each of fundedHoursAgo's recipients got
+ * 0.5 SOL from the first donor that many hours ago. Timers are mocked, so
+ * polls and due checks only run when the test ticks or calls them.
+ * fundDue records each batch and reports every transfer as sent.
+ */
+function setup(t, fundedHoursAgo) {
+  useEnv(t)
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] })
+
+  const connection = new MockConnection()
+  fundedHoursAgo.forEach((hours, i) => fund(connection, recipients[i], hours))
+
+  const config = new Config()
+  const checker = new TransactionChecker(config, { connection, history: null, announce: false })
+  const batches = []
+  const fundDue = async due => {
+    batches.push(due.map(recipient => recipient.address))
+    return { transfers: due.map(recipient => ({ recipient: recipient.address, status: 'success' })) }
+  }
+  const monitor = new RecipientMonitor(config, { connection, checker }, fundDue)
+  const state = recipient => monitor.states.get(recipient.address)
+
+  return { config, connection, monitor, batches, state }
+}
+
+function fund(connection, recipient, hoursAgo) {
+  return connection.addTransaction(fixtures.transferTransaction({
+    transfers: [{ from: donors[0].address, to: recipient.address, sol: 0.5 }],
+    blockTime: fixtures.hoursAgo(hoursAgo)
+  }))
+}
+
+// Let the mock connection's promises run (setImmediate isn't mocked)
+const settle = () => new Promise(resolve => setImmediate(resolve))
+
+test('log notifications mark recipients funded while the socket is up', async (t) => {
+  const { connection, monitor, state } = setup(t, [1])
+
+  await monitor.start(recipients, donors)
+  assert.equal(connection.logListeners.size, recipients.length)
+  assert.equal(monitor.mode, 'starting')
+
+  connection.emitSlot()
+  assert.equal(monitor.mode, 'realtime')
+  assert.equal(monitor.isDue(state(recipients[0])), false)
+  assert.equal(monitor.isDue(state(recipients[1])), true)
+
+  await connection.emitLogs(fund(connection, recipients[1], 0))
+  assert.equal(monitor.isDue(state(recipients[1])), false)
+
+  await monitor.stop()
+  assert.equal(connection.logListeners.size, 0)
+  assert.equal(connection.slotListeners.size, 0)
+})
+
+test('polling takes over when slot notifications stop and catches up when they resume', async (t) => {
+  const { config, connection, monitor, batches, state } = setup(t, [2, 2, 2])
+  const fundedUntil = recipient => state(recipient).fundedUntil
+
+  await monitor.start(recipients, donors)
+  const initial = fundedUntil(recipients[0])
+
+  // No slot notification within the heartbeat timeout
+  monitor.startedAt -= config.monitorHeartbeatTimeoutSeconds * 1000
+  monitor.checkHeartbeat()
+  assert.equal(monitor.mode, 'polling')
+  await settle()
+
+  // A transfer whose notification never arrives is found by the next poll
+  fund(connection, recipients[0], 0)
+  t.mock.timers.tick(config.monitorPollIntervalSeconds * 1000)
+  await settle()
+  assert.ok(fundedUntil(recipients[0]) > initial)
+
+  // ...and one that lands while nothing polls, by the catch-up on reconnect
+  fund(connection, recipients[1], 0)
+  connection.emitSlot()
+  assert.equal(monitor.mode, 'realtime')
+  assert.equal(monitor.pollTimer, null)
+  await settle()
+  assert.ok(fundedUntil(recipients[1]) > initial)
+
+  assert.deepEqual(batches, [])
+  await monitor.stop()
+})
+
+test('due recipients are funded once, even when due checks overlap', async (t) => {
+  const { monitor, batches, state } = setup(t, [1])
+
+  await monitor.start(recipients, donors)
+  await Promise.all([monitor.processDue(), monitor.processDue()])
+
+  assert.deepEqual(batches, [[recipients[1].address, recipients[2].address]])
+  assert.equal(monitor.isDue(state(recipients[1])), false)
+  assert.equal(monitor.isDue(state(recipients[2])), false)
+
+  await monitor.processDue()
+  assert.equal(batches.length, 1)
+  await monitor.stop()
+})
@@ -0,0 +1,64 @@
+const fs = require('fs')
+const path = require('path')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { useEnv } = require('./helpers')
+const Config = require('../config')
+const Ledger = require('../ledger')
+const SpendingLimits = require('../spending-limits')
+
+const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString()
+
+/**
+ * A ledger whose entries (one transfer per recipient) were written `hours` ago
+ */
+function createLedger(dir, entries) {
+  const filePath = path.join(dir, 'ledger.jsonl')
+  const lines = entries.map(({ hours, ...entry }, i) => JSON.stringify({
+    timestamp: hoursAgo(hours),
+    runId: `run-${i}`,
+    donor: 'donor',
+    recipient: `recipient-${i}`,
+    mint: null,
+    ...entry
+  }))
+  fs.writeFileSync(filePath, lines.join('\n') + '\n')
+  return new Ledger(filePath)
+}
+
+test('MAX_SOL_PER_24H counts what the ledger sent in the last 24 hours', (t) => {
+  const dir = useEnv(t, { MAX_SOL_PER_24H: '2.5' })
+  const ledger = createLedger(dir, [
+    { status: 'confirmed', amountSol: 1, hours: 2 },
+    { status: 'sent', amountSol: 0.5, hours: 23 }, // May still land, so it counts
+    { status: 'confirmed', amountSol: 3, hours: 25 }, // Outside the window
+    { status: 'failed', amountSol: 2, hours: 1 },
+    { status: 'planned', amountSol: 2, hours: 1 },
+    { status: 'confirmed', amountSol: 5, hours: 1, mint: 'some-mint' } // Another asset
+  ])
+
+  const limits = new SpendingLimits(new Config(), ledger)
+
+  assert.equal(limits.spentBefore, 1.5)
+  assert.equal(limits.check(1), null)
+  assert.match(limits.check(1.1), /MAX_SOL_PER_24H reached \(1\.500000 of 2\.5 SOL used in the last 24h\)/)
+
+  limits.add(1)
+  assert.match(limits.check(0.01), /2\.500000 of 2\.5 SOL/)
+})
+
+test('a transfer that was sent and then confirmed counts once, at its latest time', (t) => {
+  const dir = useEnv(t, { MAX_SOL_PER_24H: '1' })
+  const ledger = createLedger(dir, [
+    { status: 'sent', amountSol: 0.6, hours: 30, runId: 'run-a', recipient: 'recipient-a' },
+    { status: 'confirmed', amountSol: 0.6, hours: 2, runId: 'run-a', recipient: 'recipient-a' },
+    { status: 'sent', amountSol: 0.6, hours: 3, runId: 'run-b', recipient: 'recipient-b' },
+    { status: 'failed', amountSol: 0.6, hours: 2, runId: 'run-b', recipient: 'recipient-b' }
+  ])
+
+  const limits = new SpendingLimits(new Config(), ledger)
+
+  assert.equal(limits.spentBefore, 0.6)
+  assert.equal(limits.check(0.4), null)
+  assert.ok(limits.check(0.5))
+})
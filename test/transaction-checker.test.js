@@ -0,0 +1,156 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { useEnv } = require('./helpers')
+const fixtures = require('./fixtures')
+const MockConnection = require('./mock-connection')
+const Config = require('../config')
+const TransactionChecker = require('../transaction-checker')
+
+const donor = fixtures.donors[0].publicKey.toBase58()
+const otherDonor = fixtures.donors[1].publicKey.toBase58()
+const recipient = fixtures.recipients[0].publicKey.toBase58()
+const stranger = fixtures.stranger.publicKey.toBase58()
+
+function createChecker(t, env = {}) {
+  useEnv(t, env)
+  const connection = new MockConnection()
+  const checker = new TransactionChecker(new Config(), { connection })
+  return { checker, connection }
+}
+
+test('analyzeTransactionForFunding returns the transfer from a donor', (t) => {
+  const { checker } = createChecker(t)
+  const blockTime = fixtures.hoursAgo(1)
+  const transaction = fixtures.transferTransaction({ transfers: [{ from: donor, to: recipient, sol: 0.25 }], blockTime })
+
+  const funding = checker.analyzeTransactionForFunding(transaction, recipient, [donor])
+
+  assert.deepEqual(funding, { signature: transaction.transaction.signatures[0], donor, amount: 0.25, blockTime })
+})
+
+test('analyzeTransactionForFunding ignores small, failed and non-donor transfers', (t) => {
+  const { checker } = createChecker(t)
+
+  const small = fixtures.transferTransaction({ transfers: [{ from: donor, to: recipient, sol: 0.05 }] })
+  const failed = fixtures.transferTransaction({ transfers: [{ from: donor, to: recipient, sol: 1 }], err: { InstructionError: [0, 'Custom'] } })
+  const fromStranger = fixtures.transferTransaction({ transfers: [{ from: stranger, to: recipient, sol: 1 }] })
+  const toSomeoneElse = fixtures.transferTransaction({ transfers: [{ from: donor, to: stranger, sol: 1 }] })
+
+  assert.equal(checker.analyzeTransactionForFunding(small, recipient, [donor]), false)
+  assert.equal(checker.analyzeTransactionForFunding(failed, recipient, [donor]), false)
+  assert.equal(checker.analyzeTransactionForFunding(fromStranger, recipient, [donor]), false)
+  assert.equal(checker.analyzeTransactionForFunding(toSomeoneElse, recipient, [donor]), false)
+})
+
+test('analyzeTransactionForFunding adds up donor transfers in one transaction, including inner ones', (t) => {
+  const { checker } = createChecker(t)
+  const transaction = fixtures.transferTransaction({
+    transfers: [{ from: donor, to: recipient, sol: 0.06 }],
+    inner: [{ from: otherDonor, to: recipient, sol: 0.06 }]
+  })
+
+  const funding = checker.analyzeTransactionForFunding(transaction, recipient, [donor, otherDonor])
+
+  assert.equal(funding.donor, donor)
+  assert.equal(funding.amount, 0.12)
+})
+
+test('analyzeTransactionForFunding uses the minimum it is given', (t) => {
+  const { checker } = createChecker(t)
+  const transaction = fixtures.transferTransaction({ transfers: [{ from: donor, to: recipient, sol: 0.05 }] })
+
+  assert.ok(checker.analyzeTransactionForFunding(transaction, recipient, [donor], 0.01))
+})
+
+test('checkRecipientFunding only counts transfers inside the lookback window', async (t) => {
+  const { checker, connection } = createChecker(t)
+  connection.addTransaction(fixtures.transferTransaction({ transfers: [{ from: donor, to: recipient, sol: 1 }], blockTime: fixtures.hoursAgo(30) }))
+  const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000)
+
+  assert.equal(await checker.checkRecipientFunding(recipient, [donor], cutoff), false)
+
+  const recent = fixtures.transferTransaction({ transfers: [{ from: donor, to: recipient, sol: 1 }], blockTime: fixtures.hoursAgo(2) })
+  connection.addTransaction(recent)
+
+  const funding = await checker.checkRecipientFunding(recipient, [donor], cutoff)
+  assert.equal(funding.signature, recent.transaction.signatures[0])
+})
+
+test('checkRecipientFunding pages through the history', async (t) => {
+  const { checker, connection } = createChecker(t, { MAX_SIGNATURES_PER_WALLET: '5000' })
+  const funding = fixtures.transferTransaction({ transfers: [{ from: donor, to: recipient, sol: 1 }], blockTime: fixtures.hoursAgo(3) })
+  connection.addTransaction(funding)
+  // Newer unrelated transactions fill the first page
+  for (let i = 0; i < 1000; i++) {
+    connection.addTransaction(fixtures.transferTransaction({ transfers: [{ from: stranger, to: recipient, sol: 0.001 }], blockTime: fixtures.hoursAgo(1) }))
+  }
+
+  const result = await checker.checkRecipientFunding(recipient, [donor], new Date(Date.now() - 24 * 60 * 60 * 1000))
+
+  assert.equal(result.signature, funding.transaction.signatures[0])
+  assert.equal(connection.callCount('getSignaturesForAddress'), 2)
+})
+
+test('checkRecipientFunding is inconclusive when the history runs past MAX_SIGNATURES_PER_WALLET', async (t) => {
+  const { checker, connection } = createChecker(t, { MAX_SIGNATURES_PER_WALLET: '1500' })
+  connection.addTransaction(fixtures.transferTransaction({ transfers: [{ from: donor, to: recipient, sol: 1 }], blockTime: fixtures.hoursAgo(3) }))
+  for (let i = 0; i < 1600; i++) {
+    connection.addTransaction(fixtures.transferTransaction({ transfers: [{ from: stranger, to: recipient, sol: 0.001 }], blockTime: fixtures.hoursAgo(1) }))
+  }
+
+  const result = await checker.checkRecipientFunding(recipient, [donor], new Date(Date.now() - 24 * 60 * 60 * 1000))
+
+  assert.equal(result.inconclusive, true)
+  assert.match(result.reason, /more than 1500 transactions/)
+  assert.equal(connection.callCount('getSignaturesForAddress'), 2)
+})
+
+test('checkRecipientFunding finds token funding in the history of the recipient token account', async (t) => {
+  const mint = fixtures.keypair(50).publicKey.toBase58()
+  const { checker, connection } = createChecker(t, { FUNDING_MINT: mint, MIN_SOL_AMOUNT: '10' })
+  connection.setAccount(mint, fixtures.mintAccount(6))
+  const funding = fixtures.tokenTransferTransaction({ transfers: [{ from: donor, to: recipient, amount: 25 }], mint, blockTime: fixtures.hoursAgo(2) })
+  connection.addTransaction(funding)
+
+  const result = await checker.checkRecipientFunding(recipient, [donor], new Date(Date.now() - 24 * 60 * 60 * 1000))
+
+  assert.ok(!funding.transaction.message.accountKeys.some(key => key.pubkey === recipient))
+  assert.deepEqual(result, { signature: funding.transaction.signatures[0], donor, amount: 25, blockTime: funding.blockTime })
+})
+
+test('findUnfundedRecipients records each result and treats errors as unfunded', async (t) => {
+  const { checker, connection } = createChecker(t)
+  const [funded, unfunded, broken] = fixtures.recipientRows()
+  connection.addTransaction(fixtures.transferTransaction({ transfers: [{ from: donor, to: funded.address, sol: 0.5 }], blockTime: fixtures.hoursAgo(1) }))
+  connection.failNext('getSignaturesForAddress', new Error('connection reset'))
+
+  // The failure hits whichever recipient is checked first, so check the broken one alone
+  const first = await checker.findUnfundedRecipients([{ address: donor }], [broken])
+  const rest = await checker.findUnfundedRecipients([{ address: donor }], [funded, unfunded])
+
+  assert.deepEqual(first.map(r => r.address), [broken.address])
+  assert.deepEqual(rest.map(r => r.address), [unfunded.address])
+  assert.equal(checker.results.get(broken.address).status, 'error')
+  assert.equal(checker.results.get(funded.address).status, 'funded')
+  assert.equal(checker.results.get(unfunded.address).status, 'unfunded')
+})
+
+test('findRecipientsBelowTarget counts failed balance lookups apart from recipients at target', async (t) => {
+  const { checker, connection } = createChecker(t, { FUNDING_MODE: 'topup', TOPUP_TARGET_SOL: '1' })
+  const [full, low, broken] = fixtures.recipientRows()
+  connection.setBalance(full.address, 1)
+  connection.setBalance(low.address, 0.25)
+  connection.setBalance(broken.address, 0)
+  // The batched lookup fails, and so does the first one-by-one lookup
+  connection.failNext('getMultipleAccountsInfo', new Error('connection reset'))
+  connection.failNext('getBalance', new Error('connection reset'))
+  const output = []
+  t.mock.method(console, 'log', line => output.push(line))
+
+  const below = await checker.findRecipientsBelowTarget([broken, full, low])
+
+  assert.deepEqual(below.map(r => [r.address, r.topUpAmount]), [[low.address, 0.75]])
+  assert.equal(checker.results.get(broken.address).status, 'error')
+  assert.ok(output.includes('   ✅ At or near target: 1'))
+  assert.ok(output.includes('   ⚠️  Not checked (errors, skipped): 1'))
+})
@@ -0,0 +1,37 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { Connection, Keypair, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js')
+const { default: bs58 } = require('bs58')
+const { useEnv } = require('./helpers')
+const Config = require('../config')
+const TransactionChecker = require('../transaction-checker')
+const WalletFunder = require('../wallet-funder')
+
+// Only runs against a real cluster: `node test.js --validator` or TEST_VALIDATOR_URL
+const rpcUrl = process.env.TEST_VALIDATOR_URL
+const skip = rpcUrl ? false : 'needs solana-test-validator (node test.js --validator)'
+
+test('funds recipients on solana-test-validator and then finds them funded', { skip, timeout: 120000 }, async (t) => {
+  useEnv(t, { DRY_RUN: 'false', FUNDING_AMOUNT_SOL: '0.2', MIN_SOL_AMOUNT: '0.1', SEND_REBROADCAST_INTERVAL_MS: '500', SEND_CONFIRM_TIMEOUT_MS: '60000' })
+  const config = new Config()
+  const connection = new Connection(rpcUrl, 'confirmed')
+
+  const donorKeypair = Keypair.generate()
+  const donor = { address: donorKeypair.publicKey.toBase58(), privateKey: bs58.encode(donorKeypair.secretKey) }
+  const recipients = [Keypair.generate(), Keypair.generate()].map(kp => ({ address: kp.publicKey.toBase58() }))
+
+  const airdrop = await connection.requestAirdrop(donorKeypair.publicKey, 2 * LAMPORTS_PER_SOL)
+  await connection.confirmTransaction({ signature: airdrop, ...(await connection.getLatestBlockhash()) }, 'confirmed')
+
+  const checker = new TransactionChecker(config, { connection })
+  assert.equal((await checker.findUnfundedRecipients([donor], recipients)).length, 2)
+
+  const funder = new WalletFunder(config, { connection })
+  const results = await funder.fundWallets(recipients, [donor])
+  assert.equal(results.success, 2)
+
+  for (const recipient of recipients) {
+    assert.equal(await connection.getBalance(new PublicKey(recipient.address)), 0.2 * LAMPORTS_PER_SOL)
+  }
+  assert.equal((await checker.findUnfundedRecipients([donor], recipients)).length, 0)
+})
@@ -0,0 +1,220 @@
+const fs = require('fs')
+const path = require('path')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { SendTransactionError } = require('@solana/web3.js')
+const { useEnv } = require('./helpers')
+const fixtures = require('./fixtures')
+const MockConnection = require('./mock-connection')
+const Config = require('../config')
+const FileParser = require('../file-parser')
+const Ledger = require('../ledger')
+const WalletFunder = require('../wallet-funder')
+
+/**
+ * A funder on a mock connection where every donor holds donorSol
+ */
+function createFunder(t, env = {}, donorSol = 5) {
+  const dir = useEnv(t, env)
+  const config = new Config()
+  const connection = new MockConnection()
+  const ledger = new Ledger(path.join(dir, 'ledger.jsonl'))
+  ledger.startRun()
+
+  const donors = fixtures.donorRows().map(row => ({ ...FileParser.extractFundingOverrides(row), address: row.address, privateKey: row.privateKey }))
+  const recipients = fixtures.recipientRows().map(row => ({ ...FileParser.extractFundingOverrides(row), address: row.address }))
+  for (const donor of donors) {
+    connection.setBalance(donor.address, donorSol)
+  }
+
+  const funder = new WalletFunder(config, { connection, ledger })
+  return { funder, connection, ledger, donors, recipients }
+}
+
+function ledgerStatuses(ledger) {
+  return ledger.entries.map(entry => `${entry.recipient}:${entry.status}`)
+}
+
+test('fundWallets in dry run plans every transfer without sending', async (t) => {
+  const { funder, connection, donors, recipients } = createFunder(t)
+
+  const results = await funder.fundWallets(recipients, donors)
+
+  assert.equal(results.success, 3)
+  assert.deepEqual(results.transfers.map(r => r.status), ['dry-run', 'dry-run', 'dry-run'])
+  assert.equal(connection.callCount('sendRawTransaction'), 0)
+  assert.equal(connection.getSol(donors[0].address), 5)
+})
+
+test('fundWallets sends, confirms and records every transfer', async (t) => {
+  const { funder, connection, ledger, donors, recipients } = createFunder(t, { DRY_RUN: 'false' })
+
+  const results = await funder.fundWallets(recipients, donors)
+
+  assert.equal(results.success, 3)
+  assert.equal(results.failed, 0)
+  assert.equal(connection.sent.length, 3)
+  for (const recipient of recipients) {
+    assert.equal(connection.getSol(recipient.address), 0.5)
+  }
+  // Round-robin: the first donor funds the first and third recipients
+  assert.equal(connection.getSol(donors[0].address), 4)
+  assert.equal(connection.getSol(donors[1].address), 4.5)
+
+  const confirmed = ledger.entries.filter(entry => entry.status === 'confirmed')
+  assert.deepEqual(confirmed.map(entry => entry.signature), results.transfers.map(r => r.signature))
+})
+
+test('fundWallets skips donors that cannot cover a transfer', async (t) => {
+  const { funder, connection, donors, recipients } = createFunder(t, { DRY_RUN: 'false' })
+  connection.setBalance(donors[1].address, 0.1)
+
+  const results = await funder.fundWallets(recipients, donors)
+
+  assert.equal(results.success, 3)
+  assert.ok(results.transfers.every(r => r.donor === donors[0].address))
+  assert.equal(connection.getSol(donors[1].address), 0.1)
+})
+
+test('fundWallets stops at MAX_TOTAL_SOL_PER_RUN', async (t) => {
+  const { funder, connection, donors, recipients } = createFunder(t, { DRY_RUN: 'false', MAX_TOTAL_SOL_PER_RUN: '1' })
+
+  const results = await funder.fundWallets(recipients, donors)
+
+  assert.equal(results.success, 2)
+  assert.equal(results.skipped, 1)
+  assert.match(results.stoppedReason, /MAX_TOTAL_SOL_PER_RUN/)
+  assert.equal(connection.getSol(recipients[2].address), 0)
+})
+
+test('fundWallets records a transfer rejected in preflight as failed', async (t) => {
+  const { funder, connection, ledger, donors, recipients } = createFunder(t, { DRY_RUN: 'false' })
+  connection.failNext('sendRawTransaction', new SendTransactionError({
+    action: 'send',
+    signature: '',
+    transactionMessage: 'Attempt to debit an account but found no record of a prior credit'
+  }))
+
+  const results = await funder.fundWallets(recipients.slice(0, 1), donors)
+
+  assert.equal(results.failed, 1)
+  assert.equal(results.transfers[0].status, 'failed')
+  assert.equal(connection.sent.length, 0)
+  assert.deepEqual(ledgerStatuses(ledger), [
+    `${recipients[0].address}:planned`,
+    `${recipients[0].address}:sent`,
+    `${recipients[0].address}:failed`
+  ])
+})
+
+test('fundWallets packs transfers from one donor into one transaction with BATCH_TRANSFERS', async (t) => {
+  const { funder, connection, donors, recipients } = createFunder(t, { DRY_RUN: 'false', BATCH_TRANSFERS: 'true', DONOR_STRATEGY: 'largest-first' })
+  connection.setBalance(donors[1].address, 0)
+
+  const results = await funder.fundWallets(recipients, donors)
+
+  assert.equal(results.success, 3)
+  assert.equal(connection.sent.length, 1)
+  assert.ok(results.transfers.every(r => r.batched))
+  assert.equal(connection.getSol(donors[0].address), 3.5)
+})
+
+test('a failed batch is retried one by one, and transfers that fail give back their reserve and budget', async (t) => {
+  const { funder, connection, donors, recipients } = createFunder(t, { DRY_RUN: 'false', BATCH_TRANSFERS: 'true', DONOR_STRATEGY: 'largest-first' })
+  connection.setBalance(donors[1].address, 0)
+  const preflightFailure = () => new SendTransactionError({
+    action: 'send',
+    signature: '',
+    transactionMessage: 'Attempt to debit an account but found no record of a prior credit'
+  })
+  // The batch, then the first one-by-one retry
+  connection.failNext('sendRawTransaction', preflightFailure())
+  connection.failNext('sendRawTransaction', preflightFailure())
+
+  const results = await funder.fundWallets(recipients, donors)
+
+  assert.deepEqual(results.transfers.map(r => [r.status, r.batched]), [['failed', false], ['success', false], ['success', false]])
+  assert.equal(connection.sent.length, 2)
+  assert.equal(connection.getSol(donors[0].address), 4)
+  assert.equal(funder.spendingLimits.runSpent, 1)
+  const projected = funder.donorBalances.projected.get(donors[0].address).balance
+  assert.equal(Math.round(projected * 1e9), Math.round((4 - 2 * funder.transferSolCost) * 1e9))
+})
+
+/**
+ * Write ledger entries as a run that crashed would have left them, and give
+ * the funder a ledger freshly loaded from that file
+ */
+function crashedRun(funder, entries) {
+  const filePath = funder.ledger.filePath
+  const lines = entries.map(entry => JSON.stringify({
+    timestamp: new Date().toISOString(),
+    runId: 'crashed-run',
+    mint: null,
+    signature: null,
+    lastValidBlockHeight: null,
+    error: null,
+    amountSol: 0.5,
+    ...entry
+  }))
+  fs.writeFileSync(filePath, lines.join('\n') + '\n')
+  funder.ledger = new Ledger(filePath)
+  return funder.ledger
+}
+
+test('a resumed run reconciles planned and sent transfers instead of sending them again', async (t) => {
+  const { funder, connection, donors, recipients } = createFunder(t, { DRY_RUN: 'false' })
+  const [planned, landed, expired] = recipients
+  const inFlight = { address: fixtures.keypair(14).publicKey.toBase58() }
+  const donor = donors[0].address
+  const landedSignature = connection.addTransaction(fixtures.transferTransaction({ transfers: [{ from: donor, to: landed.address, sol: 0.5 }] }))
+  const ledger = crashedRun(funder, [
+    { status: 'planned', donor, recipient: planned.address },
+    { status: 'planned', donor, recipient: landed.address },
+    { status: 'sent', donor, recipient: landed.address, signature: landedSignature, lastValidBlockHeight: connection.blockHeight + 100 },
+    { status: 'sent', donor, recipient: expired.address, signature: fixtures.fakeSignature(), lastValidBlockHeight: connection.blockHeight - 1 },
+    { status: 'sent', donor, recipient: inFlight.address, signature: fixtures.fakeSignature(), lastValidBlockHeight: connection.blockHeight + 100 }
+  ])
+
+  const run = ledger.startRun()
+  const stillInFlight = await funder.reconcilePendingTransfers(run.pending)
+
+  assert.equal(run.resumed, true)
+  assert.equal(run.runId, 'crashed-run')
+  assert.equal(stillInFlight, 1)
+  assert.equal(connection.callCount('sendRawTransaction'), 0)
+  assert.deepEqual(ledgerStatuses(ledger).slice(5), [
+    `${planned.address}:failed`,
+    `${landed.address}:confirmed`,
+    `${expired.address}:failed`
+  ])
+  // The landed and in-flight transfers keep their recipients from being funded twice
+  assert.deepEqual([...ledger.getLastFundedTimes().keys()].sort(), [landed.address, inFlight.address].sort())
+  assert.deepEqual(ledger.getPendingTransfers('crashed-run').map(entry => entry.recipient), [inFlight.address])
+})
+
+test('failed transfers are final: the next run starts fresh and may fund them again', async (t) => {
+  const { funder, connection, donors, recipients } = createFunder(t, { DRY_RUN: 'false' })
+  const donor = donors[0].address
+  const rejected = connection.addTransaction(fixtures.transferTransaction({ transfers: [{ from: donor, to: recipients[1].address, sol: 0.5 }], err: { InstructionError: [0, 'Custom'] } }))
+  const ledger = crashedRun(funder, [
+    { status: 'failed', donor, recipient: recipients[0].address, error: 'blockhash expired' },
+    { status: 'sent', donor, recipient: recipients[1].address, signature: rejected, lastValidBlockHeight: connection.blockHeight + 100 }
+  ])
+
+  // The transfer that failed on chain is reconciled to failed like the other one
+  const resumed = ledger.startRun()
+  assert.deepEqual(resumed.pending.map(entry => entry.recipient), [recipients[1].address])
+  await funder.reconcilePendingTransfers(resumed.pending)
+  assert.equal(ledger.entries[ledger.entries.length - 1].status, 'failed')
+  assert.equal(ledger.getLastFundedTimes().size, 0)
+
+  const next = ledger.startRun()
+  assert.equal(next.resumed, false)
+  assert.notEqual(next.runId, 'crashed-run')
+
+  const results = await funder.fundWallets(recipients.slice(0, 2), donors)
+  assert.equal(results.success, 2)
+  assert.equal(connection.getSol(recipients[0].address), 0.5)
+  assert.deepEqual(ledger.getPendingTransfers(next.runId), [])
+})
@@ -0,0 +1,103 @@
+const fs = require('fs')
+const { spawnSync } = require('child_process')
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const { useEnv } = require('./helpers')
+const Config = require('../config')
+const LockFile = require('../lock-file')
+const Watcher = require('../watcher')
+
+/**
+ * Pid of a process that has already exited
+ */
+function deadPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid
+}
+
+test('a second lock holder is turned away while the lock is held', (t) => {
+  useEnv(t)
+  const first = new LockFile(process.env.LOCK_FILE)
+  const second = new LockFile(process.env.LOCK_FILE)
+
+  assert.equal(first.acquire('fund'), null)
+  const holder = second.acquire('watch')
+  assert.equal(holder.pid, process.pid)
+  assert.equal(holder.command, 'fund')
+
+  first.release()
+  assert.equal(fs.existsSync(process.env.LOCK_FILE), false)
+  assert.equal(second.acquire('watch'), null)
+  second.release()
+})
+
+test('a lock left by a process that is gone is taken over', (t) => {
+  useEnv(t)
+  const pid = deadPid()
+  fs.writeFileSync(process.env.LOCK_FILE, JSON.stringify({ pid, startedAt: new Date().toISOString(), command: 'fund' }) + '\n')
+  const lock = new LockFile(process.env.LOCK_FILE)
+
+  assert.equal(lock.acquire('watch'), null)
+  assert.deepEqual(JSON.parse(fs.readFileSync(process.env.LOCK_FILE, 'utf8')).pid, process.pid)
+  lock.release()
+})
+
+test('a watch cycle is skipped while another run holds the lock', async (t) => {
+  useEnv(t)
+  const other = new LockFile(process.env.LOCK_FILE)
+  other.acquire('fund')
+  let cycles = 0
+  const watcher = new Watcher(new Config(), async () => { cycles++ })
+
+  await watcher.runOnce()
+  assert.equal(cycles, 0)
+
+  other.release()
+  await watcher.runOnce()
+  assert.equal(cycles, 1)
+  assert.equal(fs.existsSync(process.env.LOCK_FILE), false)
+})
+
+test('failed cycles are counted and back off the next run', async (t) => {
+  useEnv(t)
+  let fail = true
+  const watcher = new Watcher(new Config(), async () => {
+    if (fail) throw new Error('RPC down')
+  })
+  t.mock.method(console, 'error', () => {})
+  const minutesUntil = date => Math.round((date.getTime() - Date.now()) / 60000)
+
+  // The default 60-minute interval, plus 1, 2, 4... minutes up to the 60-minute cap
+  assert.equal(minutesUntil(watcher.getNextRun()), 60)
+  await watcher.runOnce()
+  assert.equal(minutesUntil(watcher.getNextRun()), 61)
+  await watcher.runOnce()
+  assert.equal(minutesUntil(watcher.getNextRun()), 62)
+  await watcher.runOnce()
+  await watcher.runOnce()
+  assert.equal(watcher.failures, 4)
+  assert.equal(minutesUntil(watcher.getNextRun()), 68)
+  for (let i = 0; i < 4; i++) {
+    await watcher.runOnce()
+  }
+  assert.equal(minutesUntil(watcher.getNextRun()), 120)
+
+  fail = false
+  await watcher.runOnce()
+  assert.equal(watcher.failures, 0)
+  assert.equal(minutesUntil(watcher.getNextRun()), 60)
+})
+
+test('stop ends the loop after the cycle in progress', async (t) => {
+  useEnv(t)
+  let runningWhenStopped = null
+  const watcher = new Watcher(new Config(), async () => {
+    watcher.stop()
+    runningWhenStopped = watcher.running
+  })
+
+  await watcher.start()
+
+  assert.equal(runningWhenStopped, true)
+  assert.equal(watcher.cycle, 1)
+  assert.equal(watcher.running, false)
+})
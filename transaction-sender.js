@@ -0,0 +1,175 @@
+const { SendTransactionError } = require('@solana/web3.js')
+const { default: bs58 } = require('bs58')
+
+class TransactionSender {
+  constructor(config, connection) {
+    this.config = config
+    this.connection = connection
+  }
+
+  /**
+   * Sign, send and confirm a transaction, only returning once it has landed
+   *
+   * Each attempt signs with a fresh blockhash and rebroadcasts until the
+   * transaction is confirmed or its lastValidBlockHeight has passed. Only once
+   * the old signature can no longer land is the transaction re-signed.
+   *
+   * buildTransaction() must return a new unsigned Transaction on every call.
+   * onSent(signature, lastValidBlockHeight) is called before each broadcast.
+   * On failure, error.outcome is 'not-landed' when the transaction definitely
+   * did not happen and 'unknown' when it still might.
+   */
+  async send(buildTransaction, signers, onSent = null) {
+    const signatures = []
+    let lastError = null
+
+    for (let attempt = 1; attempt <= this.config.sendMaxAttempts; attempt++) {
+      const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash('confirmed')
+      const transaction = await buildTransaction()
+      transaction.recentBlockhash = blockhash
+      transaction.feePayer = signers[0].publicKey
+      transaction.sign(...signers)
+
+      // The signature is known before broadcast, so it can be recorded first
+      const signature = bs58.encode(transaction.signature)
+      const rawTransaction = transaction.serialize()
+      signatures.push(signature)
+
+      if (onSent) {
+        onSent(signature, lastValidBlockHeight)
+      }
+
+      try {
+        await this.connection.sendRawTransaction(rawTransaction, {
+          preflightCommitment: 'confirmed',
+          maxRetries: 0
+        })
+      } catch (error) {
+        if (/already been processed/i.test(error.message)) {
+          // A previous broadcast got through; wait for it below
+        } else if (/blockhash not found/i.test(error.message)) {
+          // The RPC is behind the blockhash we were given, so this signature can't land
+          lastError = error
+          console.log(`   🔁 Attempt ${attempt}: blockhash not found, re-signing...`)
+          continue
+        } else if (error instanceof SendTransactionError) {
+          // Rejected in preflight, so nothing was broadcast
+          throw this.sendError(error.message, signatures, 'not-landed')
+        } else {
+          // Network errors are ambiguous: the RPC may have received it anyway
+          console.log(`   ⚠️  Attempt ${attempt}: broadcast error (${error.message}), rebroadcasting...`)
+        }
+      }
+
+      const result = await this.waitForConfirmation(signature, rawTransaction, lastValidBlockHeight)
+
+      if (result.status === 'confirmed') {
+        return signature
+      }
+
+      if (result.status === 'failed') {
+        throw this.sendError(`Transaction ${signature} failed: ${JSON.stringify(result.err)}`, signatures, 'not-landed')
+      }
+
+      if (result.status === 'timeout') {
+        // We couldn't see the blockhash expire, so re-signing could double-send
+        throw this.sendError(
+          `Transaction ${signature} was not confirmed within ${this.config.sendConfirmTimeoutMs}ms and may still land`,
+          signatures,
+          'unknown'
+        )
+      }
+
+      lastError = new Error(`Transaction ${signature} expired at block height ${lastValidBlockHeight}`)
+      if (attempt < this.config.sendMaxAttempts) {
+        console.log(`   🔁 Attempt ${attempt}: blockhash expired without landing, re-signing...`)
+      }
+    }
+
+    throw this.sendError(
+      `Transaction did not land after ${this.config.sendMaxAttempts} attempts: ${lastError ? lastError.message : 'unknown error'}`,
+      signatures,
+      'not-landed'
+    )
+  }
+
+  /**
+   * Rebroadcast and poll until the transaction is confirmed, fails, expires or times out
+   * Returns { status: 'confirmed' | 'failed' | 'expired' | 'timeout', err }
+   */
+  async waitForConfirmation(signature, rawTransaction, lastValidBlockHeight) {
+    const startedAt = Date.now()
+
+    while (Date.now() - startedAt < this.config.sendConfirmTimeoutMs) {
+      await new Promise(resolve => setTimeout(resolve, this.config.sendRebroadcastIntervalMs))
+
+      try {
+        const status = await this.getSignatureStatus(signature, false)
+        if (status) {
+          return status
+        }
+
+        const blockHeight = await this.connection.getBlockHeight('confirmed')
+        if (blockHeight > lastValidBlockHeight) {
+          // Last look with full history before declaring it expired
+          const finalStatus = await this.getSignatureStatus(signature, true)
+          return finalStatus || { status: 'expired' }
+        }
+
+        await this.connection.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 })
+      } catch (error) {
+        // Keep polling through transient RPC errors until the timeout
+        console.log(`   ⚠️  RPC error while confirming (${error.message}), retrying...`)
+      }
+    }
+
+    // After a timeout, check the signature one more time before giving up on it
+    try {
+      const status = await this.getSignatureStatus(signature, true)
+      if (status) {
+        return status
+      }
+
+      const blockHeight = await this.connection.getBlockHeight('confirmed')
+      if (blockHeight > lastValidBlockHeight) {
+        return { status: 'expired' }
+      }
+    } catch (error) {
+      console.log(`   ⚠️  Could not check status after timeout (${error.message})`)
+    }
+
+    return { status: 'timeout' }
+  }
+
+  /**
+   * Confirmed or failed status of a signature, or null if it hasn't landed yet
+   */
+  async getSignatureStatus(signature, searchTransactionHistory) {
+    const { value } = await this.connection.getSignatureStatuses([signature], { searchTransactionHistory })
+    const status = value[0]
+
+    if (!status) {
+      return null
+    }
+
+    if (status.err) {
+      return { status: 'failed', err: status.err }
+    }
+
+    if (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized') {
+      return { status: 'confirmed' }
+    }
+
+    return null
+  }
+
+  sendError(message, signatures, outcome) {
+    const error = new Error(message)
+    error.signature = signatures[signatures.length - 1] || null
+    error.signatures = signatures
+    error.outcome = outcome
+    return error
+  }
+}
+
+module.exports = TransactionSender
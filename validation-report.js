@@ -0,0 +1,79 @@
+const fs = require('fs')
+
+class ValidationReport {
+  /**
+   * What the wallet file checks found: every rejected row with where it is
+   * in its file (CSV line, or item number in a JSON array) and why, plus
+   * warnings for rows that were kept but look wrong
+   */
+  constructor() {
+    this.files = []
+    this.rejected = []
+    this.warnings = []
+    // File -> Map of address -> location of the row it was loaded from
+    this.locations = new Map()
+  }
+
+  /**
+   * Record the outcome of checking one file
+   * rejected: [{ line, item, address, reason }]
+   * locations: Map of loaded address -> { line, item }
+   */
+  addFile(file, type, { rows, loaded, rejected, locations }) {
+    this.files.push({ file, type, rows, loaded, rejected: rejected.length })
+    this.rejected.push(...rejected.map(issue => ({ file, type, ...issue })))
+    this.locations.set(file, locations)
+  }
+
+  /**
+   * Warn about recipients that are also donors: funding them moves funds
+   * between your own wallets and can make them look funded to the history check
+   */
+  checkOverlap(donors, recipients, recipientsFile) {
+    const donorAddresses = new Set(donors.map(d => d.address))
+    const locations = this.locations.get(recipientsFile) || new Map()
+
+    for (const recipient of recipients) {
+      if (!donorAddresses.has(recipient.address)) continue
+      const location = locations.get(recipient.address) || {}
+      const warning = { file: recipientsFile, type: 'recipient', line: location.line || null, item: location.item || null, address: recipient.address, reason: 'recipient is also a donor' }
+      this.warnings.push(warning)
+      console.log(`   ⚠️  ${ValidationReport.describe(warning)}`)
+    }
+  }
+
+  hasErrors() {
+    return this.rejected.length > 0
+  }
+
+  /**
+   * Write the report as JSON
+   */
+  write(filePath) {
+    const content = {
+      generatedAt: new Date().toISOString(),
+      files: this.files,
+      rejected: this.rejected,
+      warnings: this.warnings
+    }
+    fs.writeFileSync(filePath, JSON.stringify(content, null, 2))
+    console.log(`🧹 Validation report written to ${filePath}`)
+  }
+
+  /**
+   * "line 4: duplicate of line 2 (FAe5Bcbr...)"
+   */
+  static describe(issue) {
+    const location = ValidationReport.formatLocation(issue)
+    const address = issue.address ? ` (${issue.address.slice(0, 8)}...)` : ''
+    return `${location ? `${location}: ` : ''}${issue.reason}${address}`
+  }
+
+  static formatLocation({ line, item }) {
+    if (line) return `line ${line}`
+    if (item) return `item ${item}`
+    return null
+  }
+}
+
+module.exports = ValidationReport
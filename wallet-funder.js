@@ -1,17 +1,35 @@
 const { 
-  Connection, 
   PublicKey, 
   Keypair, 
   Transaction, 
   SystemProgram,
   LAMPORTS_PER_SOL,
-  sendAndConfirmTransaction
+  PACKET_DATA_SIZE
 } = require('@solana/web3.js')
+const { default: bs58 } = require('bs58')
+const PriorityFees = require('./priority-fees')
+const TransactionSender = require('./transaction-sender')
+const RateLimiter = require('./rate-limiter')
+const ConnectionPool = require('./connection-pool')
+const FundingToken = require('./funding-token')
+const DonorSelector = require('./donor-selector')
+const SpendingLimits = require('./spending-limits')
 
 class WalletFunder {
-  constructor(config) {
+  constructor(config, options = {}) {
     this.config = config
-    this.connection = new Connection(config.getRpcUrl(), 'confirmed')
+    this.ledger = options.ledger || null
+    this.keystore = options.keystore || null // Unlocked Keystore for donors without plaintext keys
+    this.notifier = options.notifier || null
+    // Budgets spent by an earlier part of the run (policy groups share one)
+    this.previousLimits = options.spendingLimits || null
+    this.rateLimiter = options.rateLimiter || new RateLimiter(config)
+    
+    // Pass options.connection to share one connection pool; otherwise this builds its own
+    this.connection = options.connection || this.rateLimiter.wrapConnection(new ConnectionPool(config).connection)
+    this.token = config.fundingMint ? new FundingToken(config, this.connection) : null
+    this.priorityFees = new PriorityFees(config, this.connection)
+    this.sender = new TransactionSender(config, this.connection)
   }
   
   /**
@@ -20,16 +38,33 @@ class WalletFunder {
   async fundWallets(unfundedRecipients, donors) {
     if (unfundedRecipients.length === 0) {
       console.log('🎉 All recipients are already funded! No action needed.')
-      return { success: 0, failed: 0, skipped: 0 }
+      return { success: 0, failed: 0, skipped: 0, transfers: [] }
     }
     
     console.log(`💸 FUNDING PHASE`)
     console.log(`   📋 Unfunded recipients: ${unfundedRecipients.length}`)
-    console.log(`   💰 Funding amount: ${this.config.fundingAmountSol} SOL each`)
+    console.log(`   💰 Funding amount: ${this.config.fundingAmountSol} ${this.config.getAmountUnit()} each (unless set per recipient)`)
     console.log(`   🛡️  Dry run: ${this.config.dryRun ? 'Yes (no real transactions)' : 'No (REAL TRANSACTIONS)'}`)
     console.log(`   📊 Max operations: ${this.config.maxFundingOperations}`)
     console.log('')
     
+    const plan = await this.planFunding(unfundedRecipients, donors)
+    
+    if (plan.transfers.length === 0) {
+      return { success: 0, failed: 0, skipped: plan.skipped, stoppedReason: plan.stoppedReason, transfers: [] }
+    }
+    
+    return await this.executeTransfers(plan.transfers, plan.skipped, plan.stoppedReason)
+  }
+  
+  /**
+   * Work out which donor sends what to which recipient, without sending anything
+   * options.requireKeys = false plans from donor addresses and balances alone
+   * (the plan command), leaving the keys to whoever executes the plan
+   * Returns { transfers: [{ recipient, donor, amount }], skipped, stoppedReason }
+   */
+  async planFunding(unfundedRecipients, donors, options = {}) {
+    const { requireKeys = true } = options
     // Limit funding operations
     const recipientsToFund = unfundedRecipients.slice(0, this.config.maxFundingOperations)
     
@@ -37,86 +72,464 @@ class WalletFunder {
       console.log(`⚠️  Limited to first ${this.config.maxFundingOperations} recipients for safety`)
     }
     
-    // Find donors with private keys and sufficient balance
-    const availableDonors = await this.getAvailableDonors(donors)
+    if (this.token) {
+      await this.token.load()
+      console.log(`🪙 Funding with ${this.token.getProgramName()} mint ${this.config.fundingMint} (${this.token.decimals} decimals)`)
+    }
+    
+    // Find donors with private keys and enough balance for at least the smallest transfer
+    const smallestAmount = Math.min(...recipientsToFund.map(r => this.getTransferAmount(r)))
+    const availableDonors = await this.getAvailableDonors(donors, smallestAmount, { requireKeys })
     
     if (availableDonors.length === 0) {
-      console.log('❌ No donors with private keys and sufficient balance found!')
-      return { success: 0, failed: 0, skipped: recipientsToFund.length }
+      const reason = requireKeys ? 'No donors with private keys and sufficient balance' : 'No donors with sufficient balance'
+      console.log(`❌ ${reason} found!`)
+      await this.notify('low_donor_balance', {
+        reason,
+        donors: this.donorChecks
+      })
+      return { transfers: [], skipped: recipientsToFund.length }
+    }
+    
+    console.log(`👥 Available donors: ${availableDonors.length} (strategy: ${this.config.donorStrategy})`)
+    console.log('')
+    
+    // Assign a donor to every recipient
+    return this.planTransfers(recipientsToFund, availableDonors)
+  }
+  
+  /**
+   * Send the transfers of a reviewed plan exactly as written
+   * plannedTransfers: [{ donor, recipient, label, amount }] with addresses as strings
+   */
+  async executePlan(plannedTransfers, donors) {
+    console.log(`💸 EXECUTING PLAN`)
+    console.log(`   📋 Planned transfers: ${plannedTransfers.length}`)
+    console.log(`   🛡️  Dry run: ${this.config.dryRun ? 'Yes (no real transactions)' : 'No (REAL TRANSACTIONS)'}`)
+    console.log('')
+    
+    if (this.token) {
+      await this.token.load()
+      console.log(`🪙 Funding with ${this.token.getProgramName()} mint ${this.config.fundingMint} (${this.token.decimals} decimals)`)
     }
     
-    console.log(`👥 Available donors: ${availableDonors.length}`)
+    const planDonors = new Set(plannedTransfers.map(t => t.donor))
+    const smallestAmount = Math.min(...plannedTransfers.map(t => t.amount))
+    const availableDonors = await this.getAvailableDonors(donors.filter(d => planDonors.has(d.address)), smallestAmount)
+    const donorsByAddress = new Map(availableDonors.map(d => [d.address, d]))
     console.log('')
     
-    // Fund recipients
-    const results = { success: 0, failed: 0, skipped: 0 }
-    let donorIndex = 0
+    const transfers = []
+    let skipped = 0
     
-    for (let i = 0; i < recipientsToFund.length; i++) {
-      const recipient = recipientsToFund[i]
-      const donor = availableDonors[donorIndex % availableDonors.length]
+    for (const planned of plannedTransfers) {
+      const donor = donorsByAddress.get(planned.donor)
+      if (!donor) {
+        console.log(`⏭️  ${planned.recipient.slice(0, 8)}... - donor ${planned.donor.slice(0, 8)}... is unavailable`)
+        skipped++
+        continue
+      }
       
-      console.log(`💸 [${i + 1}/${recipientsToFund.length}] Funding ${recipient.address.slice(0, 8)}... from ${donor.address.slice(0, 8)}...`)
+      transfers.push({
+        recipient: { address: planned.recipient, label: planned.label || null },
+        donor,
+        amount: planned.amount
+      })
+    }
+    
+    if (transfers.length === 0) {
+      console.log('❌ No planned transfer has an available donor!')
+      return { success: 0, failed: 0, skipped, transfers: [] }
+    }
+    
+    return await this.executeTransfers(transfers, skipped)
+  }
+  
+  /**
+   * Send planned transfers, one by one or batched, and summarize the results
+   */
+  async executeTransfers(transfers, skipped = 0, stoppedReason = null) {
+    const results = { success: 0, failed: 0, skipped, stoppedReason, transfers: [] }
+    
+    // Track what each donor has left as transfers go out, so none drops below its reserve
+    const donors = [...new Set(transfers.map(t => t.donor))]
+    this.donorBalances = new DonorSelector(this.config, donors, this.transferSolCost || 0)
+    this.spendingLimits = new SpendingLimits(this.config, this.ledger, this.previousLimits)
+    
+    if (this.config.batchTransfers && !this.config.dryRun) {
+      await this.executeBatched(transfers, results)
+    } else {
+      await this.executeIndividually(transfers, results)
+    }
+    
+    console.log('')
+    console.log('📊 FUNDING RESULTS:')
+    console.log(`   ✅ Successful: ${results.success}`)
+    console.log(`   ❌ Failed: ${results.failed}`)
+    console.log(`   ⏭️  Skipped: ${results.skipped}`)
+    if (results.stoppedReason) {
+      console.log(`   🛑 Stopped early: ${results.stoppedReason}`)
+    }
+    
+    const failed = results.transfers.filter(t => t.status === 'failed')
+    if (failed.length > 0 && failed.length >= this.config.notifyMinFailedTransfers) {
+      await this.notify('transfer_failed', { transfers: failed })
+    }
+    
+    const lowDonors = this.getLowDonors()
+    if (lowDonors.length > 0) {
+      await this.notify('low_donor_balance', {
+        reason: `Donors below ${this.config.notifyLowDonorBalance} ${this.config.getAmountUnit()}`,
+        donors: lowDonors
+      })
+    }
+    
+    return results
+  }
+  
+  /**
+   * Donors checked this run whose balance (after the transfers sent) is below
+   * NOTIFY_LOW_DONOR_BALANCE
+   */
+  getLowDonors() {
+    const threshold = this.config.notifyLowDonorBalance
+    if (!(threshold > 0) || !this.donorChecks) {
+      return []
+    }
+    
+    return this.donorChecks
+      .map(donor => {
+        const projected = this.donorBalances && this.donorBalances.projected.get(donor.address)
+        return projected ? { ...donor, balance: projected.balance, solBalance: projected.solBalance } : donor
+      })
+      .filter(donor => donor.balance < threshold)
+  }
+  
+  async notify(event, data) {
+    if (this.notifier) {
+      await this.notifier.notify(event, { runId: this.ledger ? this.ledger.runId : null, ...data })
+    }
+  }
+  
+  /**
+   * Assign donors to recipients with the DONOR_STRATEGY, keeping track of
+   * each donor's balance so nobody is planned past their reserve
+   * Stops at the first recipient that would break a spending limit
+   * Returns { transfers: [{ recipient, donor, amount }], skipped, stoppedReason }
+   */
+  planTransfers(recipients, availableDonors) {
+    const selector = new DonorSelector(this.config, availableDonors, this.transferSolCost || 0)
+    const limits = new SpendingLimits(this.config, this.ledger, this.previousLimits)
+    const transfers = []
+    let skipped = 0
+    let stoppedReason = null
+    
+    for (let i = 0; i < recipients.length; i++) {
+      const recipient = recipients[i]
+      const amount = this.getTransferAmount(recipient)
+      
+      // Spending limits stop the run rather than skipping ahead to smaller transfers
+      const limitReason = limits.check(amount)
+      if (limitReason) {
+        console.log(`🛑 ${limitReason} - not planning the remaining ${recipients.length - i} recipients`)
+        skipped += recipients.length - i
+        stoppedReason = limitReason
+        break
+      }
+      
+      const { donor, reason } = selector.select(recipient, amount)
+      
+      if (!donor) {
+        console.log(`⏭️  ${recipient.address.slice(0, 8)}... - ${reason}`)
+        skipped++
+        continue
+      }
+      
+      limits.add(amount)
+      transfers.push({ recipient, donor, amount })
+    }
+    
+    if (skipped > 0) {
+      console.log('')
+    }
+    
+    return { transfers, skipped, stoppedReason }
+  }
+  
+  /**
+   * Send each transfer in its own transaction
+   */
+  async executeIndividually(transfers, results) {
+    for (let i = 0; i < transfers.length; i++) {
+      const { recipient, donor, amount } = transfers[i]
+      const label = recipient.label ? ` (${recipient.label})` : ''
+      
+      const limitReason = this.spendingLimits.check(amount)
+      if (limitReason) {
+        this.stopForLimit(results, transfers.slice(i), limitReason)
+        break
+      }
+      
+      console.log(`💸 [${i + 1}/${transfers.length}] Funding ${recipient.address.slice(0, 8)}...${label} from ${donor.address.slice(0, 8)}...`)
+      
+      if (!this.donorBalances.canAfford(donor, amount)) {
+        console.log(`   ⏭️  SKIPPED: Donor would drop below its reserve`)
+        this.recordResult(results, transfers[i], 'skipped', { error: 'Donor would drop below its reserve' })
+        continue
+      }
       
       try {
         if (this.config.dryRun) {
-          console.log(`   🔍 DRY RUN: Would send ${this.config.fundingAmountSol} SOL`)
-          results.success++
+          console.log(`   🔍 DRY RUN: Would send ${amount} ${this.config.getAmountUnit()}`)
+          this.recordResult(results, transfers[i], 'dry-run')
         } else {
-          await this.sendSol(donor, recipient.address, this.config.fundingAmountSol)
-          console.log(`   ✅ SUCCESS: Sent ${this.config.fundingAmountSol} SOL`)
-          results.success++
+          const signature = await this.sendSolWithLedger(donor, recipient.address, amount)
+          console.log(`   ✅ SUCCESS: Sent ${amount} ${this.config.getAmountUnit()} (${signature})`)
+          this.recordResult(results, transfers[i], 'success', { signature })
         }
+        this.donorBalances.commit(donor, amount)
+        this.spendingLimits.add(amount)
         
       } catch (error) {
         console.log(`   ❌ FAILED: ${error.message}`)
-        results.failed++
+        this.recordResult(results, transfers[i], 'failed', { error: error.message })
+        // A transfer that may still land counts against the budget
+        if (error.signature && error.outcome !== 'not-landed') {
+          this.spendingLimits.add(amount)
+        }
+      }
+    }
+  }
+  
+  /**
+   * Pack transfers from the same donor into as few transactions as fit,
+   * falling back to one-by-one sends for any batch that fails as a whole
+   */
+  async executeBatched(transfers, results) {
+    // Transfers are sent in donor order once packed, so check the reserve and
+    // spending limits up front, in plan order; failed transfers give them back
+    const affordable = []
+    for (let i = 0; i < transfers.length; i++) {
+      const transfer = transfers[i]
+      const limitReason = this.spendingLimits.check(transfer.amount)
+      if (limitReason) {
+        this.stopForLimit(results, transfers.slice(i), limitReason)
+        break
       }
       
-      donorIndex++
-      
-      // Rate limiting delay
-      if (!this.config.dryRun && (i + 1) % 5 === 0) {
-        console.log(`   ⏳ Brief pause to avoid overwhelming the network...`)
-        await new Promise(resolve => setTimeout(resolve, 1000))
+      if (this.donorBalances.canAfford(transfer.donor, transfer.amount)) {
+        this.spendingLimits.add(transfer.amount)
+        this.donorBalances.commit(transfer.donor, transfer.amount)
+        affordable.push(transfer)
+      } else {
+        console.log(`⏭️  ${transfer.recipient.address.slice(0, 8)}... - Donor would drop below its reserve`)
+        this.recordResult(results, transfer, 'skipped', { error: 'Donor would drop below its reserve' })
       }
     }
+    transfers = affordable
     
+    const batches = this.packBatches(transfers)
+    console.log(`📦 Packed ${transfers.length} transfers into ${batches.length} transactions`)
     console.log('')
-    console.log('📊 FUNDING RESULTS:')
-    console.log(`   ✅ Successful: ${results.success}`)
-    console.log(`   ❌ Failed: ${results.failed}`)
-    console.log(`   ⏭️  Skipped: ${results.skipped}`)
     
-    return results
+    for (let i = 0; i < batches.length; i++) {
+      const batch = batches[i]
+      const donor = batch[0].donor
+      const total = batch.reduce((sum, t) => sum + t.amount, 0)
+      
+      console.log(`📦 [${i + 1}/${batches.length}] Sending ${batch.length} transfers (${total.toFixed(6)} ${this.config.getAmountUnit()}) from ${donor.address.slice(0, 8)}...`)
+      
+      try {
+        const signature = await this.sendTransfersWithLedger(donor, batch)
+        console.log(`   ✅ SUCCESS: ${signature}`)
+        for (const transfer of batch) {
+          this.recordResult(results, transfer, 'success', { signature, batched: true })
+        }
+        continue
+      } catch (error) {
+        console.log(`   ❌ BATCH FAILED: ${error.message}`)
+        
+        // No signature means it failed before anything was broadcast
+        if (error.signature && error.outcome !== 'not-landed') {
+          // Retrying could double-fund if the batch lands later; the ledger keeps it as 'sent'
+          console.log(`   ⚠️  Batch may still land, not retrying (will be reconciled on the next run)`)
+          for (const transfer of batch) {
+            this.recordResult(results, transfer, 'failed', { signature: error.signature, error: error.message })
+          }
+          continue
+        }
+      }
+      
+      console.log(`   🔁 Retrying ${batch.length} transfers one by one...`)
+      for (const transfer of batch) {
+        const { recipient, amount } = transfer
+        try {
+          const signature = await this.sendSolWithLedger(donor, recipient.address, amount)
+          console.log(`   ✅ ${recipient.address.slice(0, 8)}... - Sent ${amount} ${this.config.getAmountUnit()} (${signature})`)
+          this.recordResult(results, transfer, 'success', { signature })
+        } catch (error) {
+          console.log(`   ❌ ${recipient.address.slice(0, 8)}... - ${error.message}`)
+          this.recordResult(results, transfer, 'failed', { error: error.message })
+          // A transfer that may still land keeps its share of the reserve and budget
+          if (!error.signature || error.outcome === 'not-landed') {
+            this.donorBalances.release(donor, amount)
+            this.spendingLimits.remove(amount)
+          }
+        }
+      }
+    }
+  }
+  
+  /**
+   * Group transfers by donor and split each group into transactions that stay
+   * within the packet size limit and MAX_TRANSFERS_PER_TX
+   */
+  packBatches(transfers) {
+    const byDonor = new Map()
+    for (const transfer of transfers) {
+      if (!byDonor.has(transfer.donor.address)) {
+        byDonor.set(transfer.donor.address, [])
+      }
+      byDonor.get(transfer.donor.address).push(transfer)
+    }
+    
+    const batches = []
+    for (const donorTransfers of byDonor.values()) {
+      let batch = []
+      for (const transfer of donorTransfers) {
+        const candidate = [...batch, transfer]
+        const fits = candidate.length <= this.config.maxTransfersPerTx &&
+          this.getTransactionSize(transfer.donor, candidate) <= PACKET_DATA_SIZE
+        
+        if (fits || batch.length === 0) {
+          batch = candidate
+        } else {
+          batches.push(batch)
+          batch = [transfer]
+        }
+      }
+      if (batch.length > 0) {
+        batches.push(batch)
+      }
+    }
+    
+    return batches
+  }
+  
+  /**
+   * Serialized size in bytes of a signed transfer transaction
+   */
+  getTransactionSize(donor, transfers) {
+    // Instruction size doesn't depend on the fee, so any price will do
+    const transaction = this.buildTransferTransaction(
+      donor.keypair.publicKey,
+      transfers.map(t => ({ recipientAddress: t.recipient.address, amount: t.amount })),
+      this.priorityFees.buildInstructions(transfers.length, 1)
+    )
+    // Placeholder blockhash: only the size matters here
+    transaction.recentBlockhash = PublicKey.default.toBase58()
+    transaction.feePayer = donor.keypair.publicKey
+    
+    // One compact-array length byte plus one 64-byte signature from the donor
+    return 1 + 64 + transaction.serializeMessage().length
+  }
+  
+  /**
+   * Skip every remaining transfer once a spending limit is hit
+   */
+  stopForLimit(results, remaining, reason) {
+    console.log(`🛑 ${reason} - stopping, ${remaining.length} transfers not sent`)
+    results.stoppedReason = reason
+    for (const transfer of remaining) {
+      this.recordResult(results, transfer, 'skipped', { error: reason })
+    }
+  }
+  
+  /**
+   * Record the outcome of one transfer in the run results
+   */
+  recordResult(results, transfer, status, details = {}) {
+    if (status === 'failed') {
+      results.failed++
+    } else if (status === 'skipped') {
+      results.skipped++
+    } else {
+      results.success++
+    }
+    
+    results.transfers.push({
+      recipient: transfer.recipient.address,
+      label: transfer.recipient.label || null,
+      donor: transfer.donor.address,
+      amountSol: transfer.amount,
+      status,
+      signature: details.signature || null,
+      batched: details.batched || false,
+      error: details.error || null
+    })
+  }
+  
+  /**
+   * SOL (or tokens) to send to a recipient: the top-up shortfall if one was worked out,
+   * otherwise its funding amount
+   */
+  getTransferAmount(recipient) {
+    if (recipient.topUpAmount) {
+      return recipient.topUpAmount
+    }
+    return this.config.getFundingAmount(recipient)
   }
   
   /**
    * Get donors that have private keys and sufficient balance
+   * For token funding, donors need the tokens plus SOL for fees and for
+   * creating the recipient's token account
+   * With options.requireKeys = false, donors without keys count too and get no keypair
    */
-  async getAvailableDonors(donors) {
+  async getAvailableDonors(donors, fundingAmount = this.config.fundingAmountSol, options = {}) {
+    const { requireKeys = true } = options
     console.log('🔍 Checking donor availability...')
     const availableDonors = []
-    const requiredBalance = this.config.fundingAmountSol + 0.001 // Add some for fees
+    // Every donor's balance, available or not, for low balance notifications
+    this.donorChecks = []
+    const feeSol = await this.priorityFees.estimateFeeSol(1)
+    console.log(`   ⛽ Estimated fee per transfer: ${feeSol.toFixed(6)} SOL`)
+    
+    // SOL each transfer costs on top of the amount, used to track donor balances
+    this.transferSolCost = feeSol
+    if (this.token) {
+      this.transferSolCost = feeSol + await this.token.getAccountRentSol()
+      console.log(`   🪙 Token account rent per new recipient: ${(this.transferSolCost - feeSol).toFixed(6)} SOL`)
+    }
+    if (this.config.reserveSol > 0) {
+      console.log(`   🏦 Reserve kept in every donor: ${this.config.reserveSol} ${this.config.getAmountUnit()} (or its reserve_sol, if higher)`)
+    }
     
     for (const donor of donors) {
-      if (!donor.privateKey) {
+      if (requireKeys && !this.hasSigningKey(donor)) {
         console.log(`   ⚠️  ${donor.address.slice(0, 8)}... - No private key`)
         continue
       }
       
+      const reserve = DonorSelector.getReserve(this.config, donor)
+      const requiredSol = this.token ? this.transferSolCost : fundingAmount + this.transferSolCost + reserve
+      
       try {
-        const balance = await this.getWalletBalance(donor.address)
+        const solBalance = await this.getWalletBalance(donor.address)
+        const balance = this.token ? await this.token.getBalance(donor.address) : solBalance
+        const tokenDisplay = this.token ? `${balance.toFixed(6)} tokens, ` : ''
+        this.donorChecks.push({ address: donor.address, label: donor.label || null, balance, solBalance })
         
-        if (balance >= requiredBalance) {
+        if (solBalance >= requiredSol && (!this.token || balance >= fundingAmount + reserve)) {
           availableDonors.push({
             ...donor,
             balance: balance,
-            keypair: this.parsePrivateKey(donor.privateKey)
+            solBalance: solBalance,
+            keypair: requireKeys ? this.getDonorKeypair(donor) : null
           })
-          console.log(`   ✅ ${donor.address.slice(0, 8)}... - ${balance.toFixed(6)} SOL (available)`)
+          console.log(`   ✅ ${donor.address.slice(0, 8)}... - ${tokenDisplay}${solBalance.toFixed(6)} SOL (available)`)
         } else {
-          console.log(`   ⚠️  ${donor.address.slice(0, 8)}... - ${balance.toFixed(6)} SOL (insufficient)`)
+          console.log(`   ⚠️  ${donor.address.slice(0, 8)}... - ${tokenDisplay}${solBalance.toFixed(6)} SOL (insufficient)`)
         }
         
       } catch (error) {
@@ -128,42 +541,195 @@ class WalletFunder {
   }
   
   /**
-   * Send SOL from donor to recipient
+   * Send SOL and record each step of the transfer in the ledger (if one is attached)
    */
-  async sendSol(donor, recipientAddress, amount) {
-    const fromKeypair = donor.keypair
-    const toPublicKey = new PublicKey(recipientAddress)
-    const lamports = Math.floor(amount * LAMPORTS_PER_SOL)
-    
-    // Create transaction
-    const transaction = new Transaction().add(
-      SystemProgram.transfer({
-        fromPubkey: fromKeypair.publicKey,
-        toPubkey: toPublicKey,
-        lamports: lamports
+  async sendSolWithLedger(donor, recipientAddress, amount) {
+    return await this.sendTransfersWithLedger(donor, [{ recipient: { address: recipientAddress }, amount }])
+  }
+  
+  /**
+   * Send one or more transfers from a donor in a single transaction,
+   * recording each step of every transfer in the ledger (if one is attached)
+   */
+  async sendTransfersWithLedger(donor, transfers) {
+    const instructions = transfers.map(t => ({ recipientAddress: t.recipient.address, amount: t.amount }))
+    
+    if (!this.ledger) {
+      return await this.sendTransfers(donor, instructions)
+    }
+    
+    const entries = transfers.map(t => ({
+      donor: donor.address,
+      recipient: t.recipient.address,
+      amountSol: t.amount,
+      mint: this.config.fundingMint
+    }))
+    for (const entry of entries) {
+      this.ledger.record('planned', entry)
+    }
+    
+    let sent = null
+    try {
+      const signature = await this.sendTransfers(donor, instructions, (signature, lastValidBlockHeight) => {
+        sent = entries.map(entry => ({ ...entry, signature, lastValidBlockHeight }))
+        for (const entry of sent) {
+          this.ledger.record('sent', entry)
+        }
       })
-    )
+      // Record the signature that actually landed
+      for (const entry of sent) {
+        this.ledger.record('confirmed', { ...entry, signature })
+      }
+      return signature
+    } catch (error) {
+      // A transfer that was broadcast may still land, so unless we know it
+      // didn't, leave it as 'sent' and let the next run reconcile it
+      if (!sent || error.outcome === 'not-landed') {
+        for (const entry of sent || entries) {
+          this.ledger.record('failed', { ...entry, error: error.message })
+        }
+      }
+      throw error
+    }
+  }
+  
+  /**
+   * Resolve transfers left unfinished by an interrupted run
+   * Returns the number of transfers still in flight
+   */
+  async reconcilePendingTransfers(pending) {
+    if (!this.ledger || pending.length === 0) {
+      return 0
+    }
+    
+    console.log(`🔁 Reconciling ${pending.length} unfinished transfers from run ${this.ledger.runId}...`)
+    
+    const sent = pending.filter(entry => entry.status === 'sent' && entry.signature)
+    const notSent = pending.filter(entry => !(entry.status === 'sent' && entry.signature))
+    
+    for (const entry of notSent) {
+      this.ledger.record('failed', { ...entry, error: 'Run interrupted before the transfer was sent' })
+      console.log(`   ⏭️  ${entry.recipient.slice(0, 8)}... - never sent`)
+    }
+    
+    if (sent.length === 0) {
+      return 0
+    }
     
-    // Get recent blockhash
-    const { blockhash } = await this.connection.getLatestBlockhash()
-    transaction.recentBlockhash = blockhash
-    transaction.feePayer = fromKeypair.publicKey
-    
-    // Send and confirm transaction
-    const signature = await sendAndConfirmTransaction(
-      this.connection,
-      transaction,
-      [fromKeypair],
-      { commitment: 'confirmed', preflightCommitment: 'confirmed' }
+    const { value: statuses } = await this.connection.getSignatureStatuses(
+      sent.map(entry => entry.signature),
+      { searchTransactionHistory: true }
     )
+    const blockHeight = await this.connection.getBlockHeight('confirmed')
     
-    return signature
+    let inFlight = 0
+    for (let i = 0; i < sent.length; i++) {
+      const entry = sent[i]
+      const status = statuses[i]
+      
+      if (status && status.err) {
+        this.ledger.record('failed', { ...entry, error: JSON.stringify(status.err) })
+        console.log(`   ❌ ${entry.recipient.slice(0, 8)}... - failed on chain`)
+      } else if (status && (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized')) {
+        this.ledger.record('confirmed', entry)
+        console.log(`   ✅ ${entry.recipient.slice(0, 8)}... - confirmed`)
+      } else if (entry.lastValidBlockHeight && blockHeight > entry.lastValidBlockHeight) {
+        this.ledger.record('failed', { ...entry, error: 'Blockhash expired before the transfer landed' })
+        console.log(`   ❌ ${entry.recipient.slice(0, 8)}... - expired without landing`)
+      } else {
+        inFlight++
+        console.log(`   ⏳ ${entry.recipient.slice(0, 8)}... - still in flight`)
+      }
+    }
+    
+    console.log('')
+    return inFlight
+  }
+  
+  /**
+   * Send SOL from donor to recipient
+   * onSent(signature, lastValidBlockHeight) is called after signing, before broadcast
+   */
+  async sendSol(donor, recipientAddress, amount, onSent = null) {
+    return await this.sendTransfers(donor, [{ recipientAddress, amount }], onSent)
+  }
+  
+  /**
+   * Send SOL from donor to one or more recipients in a single transaction
+   * On failure, error.outcome is 'not-landed' when the transfers definitely
+   * did not happen and 'unknown' when they still might
+   */
+  async sendTransfers(donor, transfers, onSent = null) {
+    const fromKeypair = donor.keypair
+    
+    // Rebuilt for every attempt so a re-sign also picks up a fresh priority fee
+    const buildTransaction = async () => {
+      const microLamports = await this.priorityFees.getMicroLamportsPerComputeUnit([fromKeypair.publicKey])
+      return this.buildTransferTransaction(
+        fromKeypair.publicKey,
+        transfers,
+        this.priorityFees.buildInstructions(transfers.length, microLamports)
+      )
+    }
+    
+    return await this.sender.send(buildTransaction, [fromKeypair], onSent)
+  }
+  
+  /**
+   * Build an unsigned transaction with one SystemProgram.transfer per recipient,
+   * or one token transfer (plus idempotent token account creation) with FUNDING_MINT
+   */
+  buildTransferTransaction(fromPublicKey, transfers, computeBudgetInstructions = []) {
+    const transaction = new Transaction().add(...computeBudgetInstructions)
+    
+    for (const { recipientAddress, amount } of transfers) {
+      if (this.token) {
+        transaction.add(...this.token.buildTransferInstructions(fromPublicKey, recipientAddress, amount))
+        continue
+      }
+      
+      transaction.add(
+        SystemProgram.transfer({
+          fromPubkey: fromPublicKey,
+          toPubkey: new PublicKey(recipientAddress),
+          lamports: Math.round(amount * LAMPORTS_PER_SOL)
+        })
+      )
+    }
+    
+    return transaction
+  }
+  
+  /**
+   * Whether a donor has a plaintext key or an entry in the keystore
+   */
+  hasSigningKey(donor) {
+    return !!donor.privateKey || !!(this.keystore && this.keystore.has(donor.address))
+  }
+  
+  /**
+   * Keypair for a donor, from its private key column or the keystore
+   */
+  getDonorKeypair(donor) {
+    const keypair = this.parsePrivateKey(donor.privateKey || `keystore:${donor.address}`)
+    if (keypair.publicKey.toBase58() !== donor.address) {
+      throw new Error(`Private key does not match donor address ${donor.address}`)
+    }
+    return keypair
   }
   
   /**
    * Parse private key from various formats
+   * `keystore:ADDRESS` loads the key for ADDRESS from the encrypted keystore
    */
   parsePrivateKey(privateKeyString) {
+    if (privateKeyString.startsWith('keystore:')) {
+      if (!this.keystore) {
+        throw new Error('Private key refers to the keystore, but no keystore is open')
+      }
+      return this.keystore.getKeypair(privateKeyString.slice('keystore:'.length))
+    }
+    
     try {
       // Try parsing as JSON array first
       if (privateKeyString.startsWith('[') && privateKeyString.endsWith(']')) {
@@ -172,7 +738,6 @@ class WalletFunder {
       }
       
       // Try as base58 string
-      const bs58 = require('bs58')
       const secretKey = bs58.decode(privateKeyString)
       return Keypair.fromSecretKey(secretKey)
       
@@ -0,0 +1,116 @@
+const cronParser = require('cron-parser')
+const LockFile = require('./lock-file')
+
+// First retry delay after a failed cycle; doubles on each failure in a row
+const RETRY_BASE_MS = 60000
+
+class Watcher {
+  /**
+   * runCycle is an async function doing one check-and-fund pass; it is never
+   * called again until the previous call has finished
+   */
+  constructor(config, runCycle) {
+    this.config = config
+    this.runCycle = runCycle
+    this.lock = new LockFile(config.lockFile)
+    this.cycle = 0
+    this.failures = 0
+    this.running = false
+    this.stopping = false
+    this.wakeUp = null
+  }
+
+  /**
+   * Run cycles until stop() is called
+   */
+  async start() {
+    const schedule = this.config.watchCron
+      ? `cron "${this.config.watchCron}"`
+      : `every ${this.config.watchIntervalMinutes} minutes`
+    console.log(`👀 WATCH MODE: ${schedule} (Ctrl+C to stop)`)
+    console.log('')
+
+    while (!this.stopping) {
+      await this.runOnce()
+      if (this.stopping) break
+
+      const nextRun = this.getNextRun()
+      console.log(`💤 Next cycle at ${nextRun.toISOString()}`)
+      console.log('')
+      await this.sleepUntil(nextRun)
+    }
+
+    console.log('👋 Watch mode stopped')
+  }
+
+  /**
+   * One cycle under the lock file; a failure is logged and counted, not thrown
+   */
+  async runOnce() {
+    this.cycle++
+    const holder = this.lock.acquire('watch')
+    if (holder) {
+      console.log(`⏳ Cycle ${this.cycle} skipped: another run holds ${this.config.lockFile} (pid ${holder.pid})`)
+      return
+    }
+
+    this.running = true
+    console.log(`⏰ Cycle ${this.cycle} started at ${new Date().toISOString()}`)
+
+    try {
+      await this.runCycle()
+      this.failures = 0
+    } catch (error) {
+      this.failures++
+      console.error(`❌ Cycle ${this.cycle} failed (${this.failures} in a row): ${error.message}`)
+    } finally {
+      this.running = false
+      this.lock.release()
+    }
+  }
+
+  /**
+   * Next scheduled time, pushed back by the backoff after repeated failures
+   * so a struggling RPC isn't hammered
+   */
+  getNextRun() {
+    const now = Date.now()
+    const backoffMs = this.failures > 0
+      ? Math.min(RETRY_BASE_MS * Math.pow(2, this.failures - 1), this.config.watchMaxBackoffMinutes * 60000)
+      : 0
+
+    if (backoffMs > 0) {
+      console.log(`   ⏳ Backing off ${Math.round(backoffMs / 1000)}s after ${this.failures} failed cycles`)
+    }
+
+    if (this.config.watchCron) {
+      // First cron tick after the backoff
+      const interval = cronParser.parseExpression(this.config.watchCron, { currentDate: new Date(now + backoffMs) })
+      return interval.next().toDate()
+    }
+
+    return new Date(now + this.config.watchIntervalMinutes * 60000 + backoffMs)
+  }
+
+  sleepUntil(time) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, Math.max(0, time.getTime() - Date.now()))
+      this.wakeUp = () => {
+        clearTimeout(timer)
+        resolve()
+      }
+    })
+  }
+
+  /**
+   * Stop after the cycle in progress (if any) has finished
+   */
+  stop() {
+    this.stopping = true
+    if (this.wakeUp) {
+      this.wakeUp()
+    }
+  }
+}
+
+module.exports = Watcher